@@ -5,76 +5,630 @@
 // - Admin: added view toggle (Grid cards / List details) with Share/Download/Delete
 // - DOMAIN env no longer required; domain inferred from request URL (origin)
 // - Keeps Telegram-backed storage, QR sharing, search, caching
+// - Files larger than CHUNK_SIZE are stored as several Telegram messages and streamed back as one
+// - File responses support Range (206), ETag/Last-Modified validators and 304 revalidation
+// - Login sessions are HMAC-signed (SESSION_SECRET), stored in D1 and revocable; failed logins are throttled per IP
+// - Telegram bot webhook: files sent to the bot are saved; /list, /search and /delete work from chat
+// - Versioned schema migrations (schema_version table) replace CREATE TABLE on every request
+// - Files are keyed by path, so links follow whichever domain serves the worker; optional custom slugs
+// - Virtual folders (D1 hierarchy) with move/rename, breadcrumb navigation and recursive delete
+// - /search filters by type, size, date, tags and note, sorts and paginates with cursors; files carry tags/notes
+// - /api/files JSON listing with cursor pagination; admin views load pages on scroll and previews on sight
+// - Revocable share links under /s/<token> with optional expiry, password and download limit
+// - Download statistics per file and day (requests, cache hits, bytes, referrers) with an admin stats view
+// - Optional hotlink allowlist (HOTLINK_ALLOWED) and per-IP rate limits for files and uploads
+// - User accounts with admin/uploader/viewer roles, hashed passwords, file owners and storage quotas
+// - Scoped API tokens (Authorization: Bearer) for scripts, with ShareX and PicGo uploader configs
+// - Remote import: /upload fetches files from pasted URLs server-side (size and type guarded)
+// - Uploads are deduplicated by SHA-256; repeats become alias rows sharing one Telegram message
+// - Admin bulk actions: multi-select delete (/delete with urls), copy links, streamed ZIP download
+// - Index export/import (JSON/CSV) and a getFile integrity check that flags missing or broken files
+// - Deleting moves files to a restorable trash; a cron trigger purges old trash and expired uploads
+// - Admin grid previews use Telegram's thumbnails via /thumb/<key>, with a backfill for older files
+// - "Keep original" uploads send images as documents; MIME types are detected from the file content
+// - One Telegram client: configurable Bot API endpoint (self-hosted, --local paths) and 429 retries
+// - /view/<key> preview pages with viewers and OpenGraph tags; the default link in the share dialog
+// - zh-CN/en UI with a language switcher (cookie, else Accept-Language); API errors carry a `code`
+// - Several storage chats (TG_STORAGE_CHATS): uploads mirrored to all or spread across them, reads fail over
 //
 // NOTE: Telegram direct file URLs may expire and size limits are governed by Telegram, not this app.
 
-// Database init
-async function initDatabase(config) {
-  await config.database.prepare(`
-    CREATE TABLE IF NOT EXISTS files (
-      url TEXT PRIMARY KEY,
-      fileId TEXT NOT NULL,
-      message_id INTEGER NOT NULL,
-      created_at INTEGER NOT NULL,
-      file_name TEXT,
-      file_size INTEGER,
-      mime_type TEXT
+// Database schema
+// Migrations run in order and each exactly once per database; the applied versions are recorded in
+// schema_version. Append new entries to the end and never edit one that has shipped. The first
+// entries use IF NOT EXISTS so databases created before versioning upgrade in place.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_files',
+    statements: [`
+      CREATE TABLE IF NOT EXISTS files (
+        url TEXT PRIMARY KEY,
+        fileId TEXT NOT NULL,
+        message_id INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        file_name TEXT,
+        file_size INTEGER,
+        mime_type TEXT
+      )
+    `]
+  },
+  {
+    version: 2,
+    name: 'create_file_parts',
+    statements: [`
+      CREATE TABLE IF NOT EXISTS file_parts (
+        file_url TEXT NOT NULL,
+        part_index INTEGER NOT NULL,
+        fileId TEXT NOT NULL,
+        message_id INTEGER NOT NULL,
+        part_size INTEGER NOT NULL,
+        PRIMARY KEY (file_url, part_index)
+      )
+    `]
+  },
+  {
+    version: 3,
+    name: 'create_sessions',
+    statements: [`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      )
+    `, `
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        ip TEXT PRIMARY KEY,
+        failures INTEGER NOT NULL,
+        first_failed_at INTEGER NOT NULL,
+        locked_until INTEGER
+      )
+    `]
+  },
+  {
+    // Rows used to be keyed by the full URL of the domain they were uploaded on; keep only the path
+    version: 4,
+    name: 'key_files_by_path',
+    statements: [
+      'ALTER TABLE files RENAME COLUMN url TO file_key',
+      `UPDATE files SET file_key = ${sqlUrlPath('file_key')} WHERE file_key LIKE 'http%://%'`,
+      'ALTER TABLE file_parts RENAME COLUMN file_url TO file_key',
+      `UPDATE file_parts SET file_key = ${sqlUrlPath('file_key')} WHERE file_key LIKE 'http%://%'`
+    ]
+  },
+  {
+    version: 5,
+    name: 'create_folders',
+    statements: [`
+      CREATE TABLE IF NOT EXISTS folders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        parent_id INTEGER,
+        name TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      )
+    `,
+      // Root-level folders have a NULL parent, which a plain UNIQUE(parent_id, name) would not dedupe
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_folders_parent_name ON folders (COALESCE(parent_id, 0), name)',
+      'ALTER TABLE files ADD COLUMN folder_id INTEGER',
+      'CREATE INDEX IF NOT EXISTS idx_files_folder ON files (folder_id)'
+    ]
+  },
+  {
+    // tags are stored as ",a,b," so a single tag can be matched exactly with LIKE '%,a,%'
+    version: 6,
+    name: 'add_file_tags_and_note',
+    statements: [
+      'ALTER TABLE files ADD COLUMN tags TEXT',
+      'ALTER TABLE files ADD COLUMN note TEXT',
+      'CREATE INDEX IF NOT EXISTS idx_files_created ON files (created_at)'
+    ]
+  },
+  {
+    version: 7,
+    name: 'create_share_links',
+    statements: [`
+      CREATE TABLE IF NOT EXISTS share_links (
+        token TEXT PRIMARY KEY,
+        file_key TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER,
+        password_hash TEXT,
+        max_downloads INTEGER,
+        download_count INTEGER NOT NULL DEFAULT 0
+      )
+    `, 'CREATE INDEX IF NOT EXISTS idx_share_links_file ON share_links (file_key)']
+  },
+  {
+    // day is the UTC+8 calendar date, matching created_at
+    version: 8,
+    name: 'create_download_stats',
+    statements: [`
+      CREATE TABLE IF NOT EXISTS file_stats_daily (
+        file_key TEXT NOT NULL,
+        day TEXT NOT NULL,
+        downloads INTEGER NOT NULL DEFAULT 0,
+        cache_hits INTEGER NOT NULL DEFAULT 0,
+        bytes INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (file_key, day)
+      )
+    `, `
+      CREATE TABLE IF NOT EXISTS file_referrers_daily (
+        file_key TEXT NOT NULL,
+        day TEXT NOT NULL,
+        referrer TEXT NOT NULL,
+        downloads INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (file_key, day, referrer)
+      )
+    `,
+      'CREATE INDEX IF NOT EXISTS idx_file_stats_day ON file_stats_daily (day)',
+      'CREATE INDEX IF NOT EXISTS idx_file_referrers_day ON file_referrers_daily (day)',
+      'ALTER TABLE files ADD COLUMN last_accessed_at INTEGER'
+    ]
+  },
+  {
+    version: 9,
+    name: 'create_rate_limits',
+    statements: [`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        bucket TEXT NOT NULL,
+        ip TEXT NOT NULL,
+        window_start INTEGER NOT NULL,
+        count INTEGER NOT NULL,
+        PRIMARY KEY (bucket, ip)
+      )
+    `, 'CREATE INDEX IF NOT EXISTS idx_rate_limits_window ON rate_limits (window_start)']
+  },
+  {
+    // quota_bytes NULL = unlimited. files.owner_id stays NULL for uploads made with auth disabled
+    // until the USERNAME account signs in and claims them.
+    version: 10,
+    name: 'create_users',
+    statements: [`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('admin', 'uploader', 'viewer')),
+        quota_bytes INTEGER,
+        disabled INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL
+      )
+    `,
+      'ALTER TABLE files ADD COLUMN owner_id INTEGER',
+      'CREATE INDEX IF NOT EXISTS idx_files_owner ON files (owner_id)'
+    ]
+  },
+  {
+    // Only the SHA-256 of a token is stored; prefix is kept so tokens can be told apart in the list.
+    // scopes is a comma-separated subset of TOKEN_SCOPES; an empty value grants none.
+    version: 11,
+    name: 'create_api_tokens',
+    statements: [`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL DEFAULT '',
+        created_at INTEGER NOT NULL,
+        last_used_at INTEGER
+      )
+    `, 'CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens (user_id)']
+  },
+  {
+    version: 12,
+    name: 'add_content_hash',
+    // SHA-256 (hex) of uploaded content; NULL for files stored before this or sent through the bot
+    statements: [
+      'ALTER TABLE files ADD COLUMN content_hash TEXT',
+      'CREATE INDEX IF NOT EXISTS idx_files_content_hash ON files (content_hash)'
+    ]
+  },
+  {
+    version: 13,
+    name: 'add_file_checks',
+    // Result of the last integrity check: NULL = never checked, otherwise one of FILE_CHECK_STATUSES
+    statements: [
+      'ALTER TABLE files ADD COLUMN check_status TEXT',
+      'ALTER TABLE files ADD COLUMN checked_at INTEGER',
+      'ALTER TABLE files ADD COLUMN check_error TEXT',
+      'CREATE INDEX IF NOT EXISTS idx_files_check_status ON files (check_status)'
+    ]
+  },
+  {
+    version: 14,
+    name: 'add_trash_and_expiry',
+    // deleted_at: moved to the trash at (epoch ms), NULL = live; expires_at: optional end of life
+    statements: [
+      'ALTER TABLE files ADD COLUMN deleted_at INTEGER',
+      'ALTER TABLE files ADD COLUMN expires_at INTEGER',
+      'CREATE INDEX IF NOT EXISTS idx_files_deleted ON files (deleted_at)',
+      'CREATE INDEX IF NOT EXISTS idx_files_expires ON files (expires_at)'
+    ]
+  },
+  {
+    version: 15,
+    name: 'add_thumbnails',
+    // Telegram's preview of the message: NULL = not looked up yet, '' = Telegram has none
+    statements: ['ALTER TABLE files ADD COLUMN thumb_file_id TEXT']
+  },
+  {
+    version: 16,
+    name: 'add_compressed_flag',
+    // 1 = stored through sendPhoto, i.e. Telegram's recompressed JPEG rather than the original bytes.
+    // Single-message images were always sent that way before this flag existed.
+    statements: [
+      'ALTER TABLE files ADD COLUMN compressed INTEGER NOT NULL DEFAULT 0',
+      "UPDATE files SET compressed = 1 WHERE mime_type LIKE 'image/%' AND file_key NOT IN (SELECT file_key FROM file_parts)"
+    ]
+  },
+  {
+    version: 17,
+    name: 'add_storage_copies',
+    // chat_id: chat holding the message(s) of fileId/message_id and the parts; NULL = TG_CHAT_ID, the only
+    // storage chat before there could be several. file_copies: the mirrored messages, one row per chat
+    // and part (part_index 0 for a file stored as one message).
+    statements: [
+      'ALTER TABLE files ADD COLUMN chat_id TEXT',
+      `CREATE TABLE IF NOT EXISTS file_copies (
+        file_key TEXT NOT NULL,
+        part_index INTEGER NOT NULL,
+        chat_id TEXT NOT NULL,
+        fileId TEXT NOT NULL,
+        message_id INTEGER NOT NULL,
+        PRIMARY KEY (file_key, part_index, chat_id)
+      )`
+    ]
+  }
+];
+
+// SQL expression for the part of an absolute URL after "scheme://host/"
+function sqlUrlPath(column) {
+  const afterScheme = `substr(${column}, instr(${column}, '://') + 3)`;
+  return `substr(${afterScheme}, instr(${afterScheme}, '/') + 1)`;
+}
+
+// Checked once per isolate instead of on every request
+let schemaReady = null;
+
+function initDatabase(config) {
+  if (!schemaReady) {
+    schemaReady = migrateDatabase(config.database).catch(error => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
+
+async function migrateDatabase(database) {
+  await database.prepare(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
     )
   `).run();
+  const current = await getSchemaVersion(database);
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= current) continue;
+    try {
+      // A D1 batch is one transaction: the statements and the version row commit together
+      await database.batch([
+        ...migration.statements.map(sql => database.prepare(sql)),
+        database.prepare('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)')
+          .bind(migration.version, migration.name, Date.now())
+      ]);
+    } catch (error) {
+      // A concurrent request may have applied it first; then our batch was rolled back and that is fine
+      const applied = await database.prepare('SELECT 1 FROM schema_version WHERE version = ?').bind(migration.version).first();
+      if (!applied) throw error;
+    }
+  }
+}
+
+async function getSchemaVersion(database) {
+  const row = await database.prepare('SELECT MAX(version) AS version FROM schema_version').first();
+  return row?.version || 0;
 }
 
+// Exact-path routes; any other path is looked up as a file key
+const ROUTES = {
+  '/': handleAuthRequest,
+  '/login': handleLoginRequest,
+  '/logout': handleLogoutRequest,
+  '/upload': handleUploadRequest,
+  '/admin': handleAdminRequest,
+  '/delete': handleDeleteRequest,
+  '/search': handleSearchRequest,
+  '/webhook': handleWebhookRequest,
+  '/setwebhook': handleSetWebhookRequest,
+  '/api/schema': handleSchemaRequest,
+  '/api/folders': handleFoldersRequest,
+  '/api/folders/rename': handleRenameFolderRequest,
+  '/api/folders/delete': handleDeleteFolderRequest,
+  '/api/move': handleMoveRequest,
+  '/api/rename': handleRenameFileRequest,
+  '/api/meta': handleFileMetaRequest,
+  '/api/files': handleFilesApiRequest,
+  '/api/shares': handleSharesRequest,
+  '/api/shares/revoke': handleRevokeShareRequest,
+  '/api/stats': handleStatsRequest,
+  '/users': handleUsersPageRequest,
+  '/api/users': handleUsersRequest,
+  '/api/users/update': handleUpdateUserRequest,
+  '/api/me': handleMeRequest,
+  '/api/tokens': handleTokensRequest,
+  '/api/tokens/revoke': handleRevokeTokenRequest,
+  '/api/uploader-config': handleUploaderConfigRequest,
+  '/api/zip': handleZipRequest,
+  '/api/export': handleExportRequest,
+  '/api/import': handleImportRequest,
+  '/api/verify': handleVerifyRequest,
+  '/api/trash/restore': handleRestoreRequest,
+  '/api/trash/empty': handleEmptyTrashRequest,
+  '/api/thumbnails': handleThumbnailBackfillRequest
+};
+
+// Routes an API token may call and the scope each one needs (per method where reads and writes share
+// a path). Anything not listed, such as pages, users and tokens themselves, needs a browser session.
+const TOKEN_ROUTE_SCOPES = {
+  '/upload': 'upload',
+  '/delete': 'delete',
+  '/search': 'read',
+  '/api/files': 'read',
+  '/api/folders': { GET: 'read', POST: 'upload' },
+  '/api/folders/rename': 'upload',
+  '/api/folders/delete': 'delete',
+  '/api/move': 'upload',
+  '/api/rename': 'upload',
+  '/api/meta': 'upload',
+  '/api/shares': { GET: 'read', POST: 'upload' },
+  '/api/shares/revoke': 'delete',
+  '/api/stats': 'read',
+  '/api/me': 'read',
+  '/api/schema': 'read',
+  '/api/uploader-config': 'read',
+  '/api/zip': 'read',
+  '/api/export': 'read',
+  // conflict=overwrite replaces existing rows and additionally needs "delete" (see handleImportRequest)
+  '/api/import': 'upload',
+  '/api/verify': { GET: 'read', POST: 'upload' },
+  '/api/trash/restore': 'upload',
+  '/api/trash/empty': 'delete',
+  '/api/thumbnails': { GET: 'read', POST: 'upload' }
+};
+
 // Exported Worker
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
+    // Derive domain from current request; no DOMAIN/MAX_SIZE needed
+    const config = createConfig(env, url.origin, ctx, getRequestLocale(request));
 
-    // Config (derive domain from current request; no DOMAIN/MAX_SIZE needed)
-    const config = {
-      origin: url.origin, // e.g., https://example.com
-      database: env.DATABASE,
-      username: env.USERNAME,
-      password: env.PASSWORD,
-      enableAuth: env.ENABLE_AUTH === 'true',
-      tgBotToken: env.TG_BOT_TOKEN,
-      tgChatId: env.TG_CHAT_ID,
-      cookie: Number(env.COOKIE) || 7
-    };
-
-    await initDatabase(config);
-
-    const routes = {
-      '/': () => handleAuthRequest(request, config),
-      '/login': () => handleLoginRequest(request, config),
-      '/upload': () => handleUploadRequest(request, config),
-      '/admin': () => handleAdminRequest(request, config),
-      '/delete': () => handleDeleteRequest(request, config),
-      '/search': () => handleSearchRequest(request, config)
-    };
+    try {
+      await initDatabase(config);
+    } catch (error) {
+      return new Response(translate(config.locale, 'DATABASE_INIT_FAILED', { error: error.message }), { status: 500, headers: { "Content-Type": "text/plain; charset=UTF-8" } });
+    }
 
-    const handler = routes[url.pathname];
-    if (handler) return await handler();
+    const handler = ROUTES[url.pathname];
+    if (handler) {
+      if (/^Bearer\s/i.test(request.headers.get('Authorization') || '')) {
+        const rejected = await applyApiToken(request, config, url.pathname);
+        if (rejected) return rejected;
+      }
+      return await handler(request, config);
+    }
+    if (url.pathname.startsWith('/s/')) return await handleShareRequest(request, config);
+    if (url.pathname.startsWith('/thumb/')) return await handleThumbnailRequest(request, config);
+    if (url.pathname.startsWith('/view/')) return await handleViewRequest(request, config);
     return await handleFileRequest(request, config);
+  },
+
+  // Cron trigger (e.g. "0 * * * *" under [triggers] in wrangler.toml): purges expired files and
+  // trash older than TRASH_RETENTION_DAYS
+  async scheduled(event, env, ctx) {
+    const config = createConfig(env, null, ctx);
+    await initDatabase(config);
+    ctx.waitUntil(runScheduledCleanup(config));
   }
 };
 
+// origin is the public origin of the current request (e.g. https://example.com); null in cron runs.
+// locale picks the language of pages and API messages (see getRequestLocale).
+function createConfig(env, origin, ctx, locale = DEFAULT_LOCALE) {
+  return {
+    origin,
+    locale,
+    database: env.DATABASE,
+    username: env.USERNAME,
+    password: env.PASSWORD,
+    enableAuth: env.ENABLE_AUTH === 'true',
+    tgBotToken: env.TG_BOT_TOKEN,
+    tgChatId: env.TG_CHAT_ID,
+    // TG_CHAT_ID followed by TG_STORAGE_CHATS (comma-separated). "mirror" stores every upload in the first
+    // chat and forwards it to the others; "spread" stores each upload in one chat picked at random.
+    storageChats: [...new Set([env.TG_CHAT_ID, ...(env.TG_STORAGE_CHATS || '').split(',')].map(id => String(id ?? '').trim()).filter(Boolean))],
+    storageMode: env.TG_STORAGE_MODE === 'spread' ? 'spread' : 'mirror',
+    // Bot API server; TG_LOCAL_FILE_BASE only for servers running in --local mode (see telegramFileUrl)
+    tgApiBase: (env.TG_API_BASE || TELEGRAM_API_BASE).replace(/\/+$/, ''),
+    tgLocalFileBase: (env.TG_LOCAL_FILE_BASE || '').replace(/\/+$/, ''),
+    cookie: Number(env.COOKIE) || 7,
+    sessionSecret: env.SESSION_SECRET,
+    loginMaxAttempts: Number(env.LOGIN_MAX_ATTEMPTS) || 5,
+    loginLockMinutes: Number(env.LOGIN_LOCK_MINUTES) || 15,
+    tgWebhookSecret: env.TG_WEBHOOK_SECRET,
+    tgAllowedUsers: (env.TG_ALLOWED_USERS || '').split(',').map(id => id.trim()).filter(Boolean),
+    // The public Bot API's getFile only serves files up to 20MB, so each stored part must stay below that
+    // (a self-hosted server allows far larger parts)
+    chunkSize: Number(env.CHUNK_SIZE) || 19 * 1024 * 1024,
+    // Hosts allowed to embed files, e.g. "blog.example.com, *.example.org"; empty disables the check
+    hotlinkAllowed: (env.HOTLINK_ALLOWED || '').split(',').map(host => host.trim().toLowerCase().replace(/^https?:\/\//, '').split('/')[0]).filter(Boolean),
+    hotlinkBlockEmpty: env.HOTLINK_BLOCK_EMPTY === 'true',
+    hotlinkPlaceholder: env.HOTLINK_PLACEHOLDER === 'true',
+    // Requests per IP within RATE_LIMIT_WINDOW seconds; 0 disables the limit
+    rateLimitFiles: Number(env.RATE_LIMIT_FILES) || 0,
+    rateLimitUploads: Number(env.RATE_LIMIT_UPLOADS) || 0,
+    rateLimitWindow: Number(env.RATE_LIMIT_WINDOW) || 60,
+    // Remote imports: size cap in bytes and allowed MIME types ("image/" matches a whole family)
+    remoteMaxSize: Number(env.REMOTE_MAX_SIZE) || 50 * 1024 * 1024,
+    remoteAllowedTypes: (env.REMOTE_ALLOWED_TYPES || '').split(',').map(type => type.trim().toLowerCase()).filter(Boolean),
+    // Days a deleted file stays restorable before the cron removes it for good
+    trashRetentionDays: Number(env.TRASH_RETENTION_DAYS) || 30,
+    // Default for uploads that do not choose: send images as documents instead of recompressed photos
+    keepOriginal: env.KEEP_ORIGINAL === 'true',
+    ctx
+  };
+}
+
+// -------- Schema info --------
+async function handleSchemaRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'admin')) return forbiddenResponse(config);
+  const applied = await config.database.prepare(
+    'SELECT version, name, applied_at FROM schema_version ORDER BY version'
+  ).all();
+  return new Response(JSON.stringify({
+    version: await getSchemaVersion(config.database),
+    latest: MIGRATIONS[MIGRATIONS.length - 1].version,
+    migrations: applied.results || []
+  }), { headers: { "Content-Type": "application/json" } });
+}
+
 // -------- Auth helpers --------
-function authenticate(request, config) {
+// Roles in increasing order of rights: viewers browse, uploaders also manage their own files,
+// admins manage every file, folders and users.
+const ROLES = ['viewer', 'uploader', 'admin'];
+
+// The signed-in user (browser session or API token), or null. With auth disabled every visitor
+// acts as an admin without an account (id null).
+async function getCurrentUser(request, config) {
+  if (config.tokenUser) return config.tokenUser;
+  if (!config.enableAuth) return { id: null, username: null, role: 'admin', quota_bytes: null };
+  return authenticate(request, config);
+}
+
+function hasRole(user, role) {
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function forbiddenResponse(config) {
+  return errorResponse(config, apiError(403, 'FORBIDDEN'));
+}
+
+// Uploaders only see their own files; admins and viewers see all of them (undefined = no owner filter)
+function visibleOwnerId(user) {
+  return user.role === 'uploader' ? user.id : undefined;
+}
+
+// Throws 404/403 unless the user may change the file: admins any file, uploaders their own.
+// Files in the trash count as missing unless allowTrashed is set.
+async function assertCanModifyFile(config, user, key, { allowTrashed = false } = {}) {
+  const file = key && await config.database.prepare('SELECT owner_id, deleted_at FROM files WHERE file_key = ?').bind(key).first();
+  if (!file || (file.deleted_at !== null && !allowTrashed)) throw apiError(404, 'FILE_NOT_FOUND');
+  if (user.role === 'admin' || (user.role === 'uploader' && file.owner_id === user.id)) return;
+  throw apiError(403, 'FORBIDDEN');
+}
+
+// Session cookie: "<sessionId>.<expiresAt>.<base64url HMAC-SHA256 of the first two fields>".
+// The signature stops forgery; the sessions row lets a session be revoked before it expires.
+// Resolves to the session's user ({ id, username, role, quota_bytes, sessionId }) or null.
+async function authenticate(request, config) {
+  if (!config.sessionSecret) return null;
   const cookies = request.headers.get("Cookie") || "";
   const authToken = cookies.match(/auth_token=([^;]+)/);
-  if (!authToken) return false;
+  if (!authToken) return null;
   try {
-    const tokenData = JSON.parse(atob(authToken[1]));
-    const now = Date.now();
-    if (now > tokenData.expiration) return false;
-    return tokenData.username === config.username;
+    const [sessionId, expiresAt, signature] = authToken[1].split('.');
+    if (!sessionId || !signature || Date.now() > Number(expiresAt)) return null;
+    const key = await importHmacKey(config.sessionSecret);
+    const valid = await crypto.subtle.verify('HMAC', key, base64UrlToBytes(signature), new TextEncoder().encode(`${sessionId}.${expiresAt}`));
+    if (!valid) return null;
+    const session = await config.database.prepare(
+      `SELECT s.id AS session_id, s.expires_at, u.id, u.username, u.role, u.quota_bytes, u.disabled
+       FROM sessions s JOIN users u ON u.username = s.username
+       WHERE s.id = ?`
+    ).bind(sessionId).first();
+    if (!session || session.expires_at < Date.now() || session.disabled) return null;
+    return { id: session.id, username: session.username, role: session.role, quota_bytes: session.quota_bytes, sessionId: session.session_id };
   } catch {
-    return false;
+    return null;
+  }
+}
+
+async function createSessionCookie(config, username) {
+  const sessionId = crypto.randomUUID();
+  const now = Date.now();
+  const expirationDate = new Date(now);
+  expirationDate.setDate(expirationDate.getDate() + config.cookie);
+  const expiresAt = expirationDate.getTime();
+
+  await config.database.batch([
+    config.database.prepare('DELETE FROM sessions WHERE expires_at < ?').bind(now),
+    config.database.prepare('INSERT INTO sessions (id, username, created_at, expires_at) VALUES (?, ?, ?, ?)').bind(sessionId, username, now, expiresAt)
+  ]);
+
+  const key = await importHmacKey(config.sessionSecret);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${sessionId}.${expiresAt}`));
+  const token = `${sessionId}.${expiresAt}.${bytesToBase64Url(new Uint8Array(signature))}`;
+  return `auth_token=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Expires=${expirationDate.toUTCString()}`;
+}
+
+function importHmacKey(secret) {
+  return crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+// Stored as "pbkdf2$<iterations>$<salt>$<hash>" (base64url); 100000 is the most Workers allows
+const PASSWORD_ITERATIONS = 100000;
+
+async function hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PASSWORD_ITERATIONS) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return `pbkdf2$${iterations}$${bytesToBase64Url(salt)}$${bytesToBase64Url(new Uint8Array(bits))}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+  const [scheme, iterations, salt] = stored.split('$');
+  if (scheme !== 'pbkdf2' || !salt) return false;
+  return timingSafeEqual(await hashPassword(password, base64UrlToBytes(salt), Number(iterations)), stored);
+}
+
+// USERNAME/PASSWORD from env always sign in as an admin. The account row is created on first login,
+// and files uploaded while nobody owned them (auth disabled, bot) are assigned to it.
+async function verifyLogin(config, username, password) {
+  if (typeof username !== 'string' || typeof password !== 'string') return null;
+  if (config.username && timingSafeEqual(username, config.username) && timingSafeEqual(password, config.password)) {
+    const admin = await getEnvAdmin(config, password);
+    await config.database.prepare('UPDATE files SET owner_id = ? WHERE owner_id IS NULL').bind(admin.id).run();
+    return admin;
   }
+  const user = await config.database.prepare(
+    'SELECT id, username, password_hash, role, disabled FROM users WHERE username = ?'
+  ).bind(username).first();
+  if (!user || user.disabled || !(await verifyPassword(password, user.password_hash))) return null;
+  return user;
+}
+
+// The account of the env USERNAME; created (with the given password hashed) when missing
+async function getEnvAdmin(config, password) {
+  const existing = await config.database.prepare('SELECT id, username, role FROM users WHERE username = ?').bind(config.username).first();
+  if (existing || password === undefined) return existing;
+  await config.database.prepare(
+    `INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, 'admin', ?)
+     ON CONFLICT(username) DO NOTHING`
+  ).bind(config.username, await hashPassword(password), Date.now()).run();
+  return config.database.prepare('SELECT id, username, role FROM users WHERE username = ?').bind(config.username).first();
 }
 
 async function handleAuthRequest(request, config) {
   if (config.enableAuth) {
-    if (!authenticate(request, config)) return handleLoginRequest(request, config);
+    if (!(await authenticate(request, config))) return handleLoginRequest(request, config);
     return handleUploadRequest(request, config);
   }
   return handleUploadRequest(request, config);
@@ -82,290 +636,4088 @@ async function handleAuthRequest(request, config) {
 
 async function handleLoginRequest(request, config) {
   if (request.method === 'POST') {
-    const { username, password } = await request.json();
-    if (username === config.username && password === config.password) {
-      const expirationDate = new Date();
-      expirationDate.setDate(expirationDate.getDate() + config.cookie);
-      const token = btoa(JSON.stringify({ username: config.username, expiration: expirationDate.getTime() }));
-      const cookie = `auth_token=${token}; Path=/; HttpOnly; Secure; Expires=${expirationDate.toUTCString()}`;
+    if (!config.sessionSecret) return errorResponse(config, apiError(500, 'SESSION_SECRET_MISSING'));
+
+    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+    const now = Date.now();
+    const attempt = await config.database.prepare('SELECT locked_until FROM login_attempts WHERE ip = ?').bind(ip).first();
+    if (attempt?.locked_until > now) {
+      const retryAfter = Math.ceil((attempt.locked_until - now) / 1000);
+      return errorResponse(config, apiError(429, 'LOGIN_LOCKED', { minutes: Math.ceil(retryAfter / 60) }), 429, { "Retry-After": String(retryAfter) });
+    }
+
+    const { username, password } = await request.json().catch(() => ({}));
+    const user = await verifyLogin(config, username, password);
+    if (user) {
+      await config.database.prepare('DELETE FROM login_attempts WHERE ip = ?').bind(ip).run();
+      const cookie = await createSessionCookie(config, user.username);
       return new Response("OK", { status: 200, headers: { "Set-Cookie": cookie, "Content-Type": "text/plain" } });
     }
-    return new Response("Unauthorized", { status: 401 });
+
+    // Failures are counted within a window of loginLockMinutes; reaching the limit locks the IP for the same period
+    const windowMs = config.loginLockMinutes * 60 * 1000;
+    const { failures } = await config.database.prepare(`
+      INSERT INTO login_attempts (ip, failures, first_failed_at, locked_until) VALUES (?, 1, ?, NULL)
+      ON CONFLICT(ip) DO UPDATE SET
+        failures = CASE WHEN first_failed_at < ? THEN 1 ELSE failures + 1 END,
+        first_failed_at = CASE WHEN first_failed_at < ? THEN excluded.first_failed_at ELSE first_failed_at END,
+        locked_until = NULL
+      RETURNING failures
+    `).bind(ip, now, now - windowMs, now - windowMs).first();
+    if (failures >= config.loginMaxAttempts) {
+      await config.database.prepare('UPDATE login_attempts SET locked_until = ? WHERE ip = ?').bind(now + windowMs, ip).run();
+    }
+    return errorResponse(config, apiError(401, 'LOGIN_FAILED'));
   }
-  const html = generateLoginPage();
+  const html = generateLoginPage(config.locale);
   return new Response(html, { headers: { "Content-Type": "text/html; charset=UTF-8" } });
 }
 
+// GET ends the current session; POST {"all": true} revokes every session of the account ("log out everywhere")
+async function handleLogoutRequest(request, config) {
+  const session = config.enableAuth ? await authenticate(request, config) : null;
+  const clearCookie = 'auth_token=; Path=/; HttpOnly; Secure; SameSite=Lax; Expires=Thu, 01 Jan 1970 00:00:00 GMT';
+  if (request.method === 'POST') {
+    if (!session) return errorResponse(config, apiError(401, 'NOT_LOGGED_IN'));
+    const { all } = await request.json().catch(() => ({}));
+    const result = all
+      ? await config.database.prepare('DELETE FROM sessions WHERE username = ?').bind(session.username).run()
+      : await config.database.prepare('DELETE FROM sessions WHERE id = ?').bind(session.sessionId).run();
+    return new Response(JSON.stringify({ success: true, revoked: result.meta?.changes || 0 }), { headers: { "Content-Type": "application/json", "Set-Cookie": clearCookie } });
+  }
+  if (session) await config.database.prepare('DELETE FROM sessions WHERE id = ?').bind(session.sessionId).run();
+  return new Response(null, { status: 302, headers: { "Location": `${new URL(request.url).origin}/`, "Set-Cookie": clearCookie } });
+}
+
 // -------- Upload --------
 async function handleUploadRequest(request, config) {
-  if (config.enableAuth && !authenticate(request, config)) {
-    return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'uploader')) {
+    if (request.method === 'GET') return Response.redirect(`${new URL(request.url).origin}/admin`, 302);
+    return new Response(JSON.stringify({ status: 0, msg: translate(config.locale, 'api.uploadFailed'), ...errorBody(config, apiError(403, 'UPLOAD_FORBIDDEN')) }), { status: 403, headers: { "Content-Type": "application/json" } });
   }
 
   if (request.method === 'GET') {
-    const html = generateUploadPage();
+    const html = generateUploadPage(config.locale, config.enableAuth, config.keepOriginal);
     return new Response(html, { headers: { "Content-Type": "text/html; charset=UTF-8" } });
   }
 
+  const retryAfter = await checkRateLimit(config, request, 'upload', config.rateLimitUploads);
+  if (retryAfter) {
+    return new Response(JSON.stringify({ status: 0, msg: translate(config.locale, 'api.uploadFailed'), ...errorBody(config, apiError(429, 'UPLOAD_RATE_LIMITED', { seconds: retryAfter })) }), { status: 429, headers: { "Retry-After": String(retryAfter), "Content-Type": "application/json" } });
+  }
+
   try {
-    const formData = await request.formData();
-    const file = formData.get('file');
-    if (!file) throw new Error('未找到文件');
+    // Multipart carries a browser upload; JSON or a form without "file" names remote sources instead
+    const isJson = (request.headers.get('Content-Type') || '').includes('application/json');
+    const input = isJson ? await request.json().catch(() => ({})) : await request.formData();
+    const field = name => (isJson ? input[name] : input.get(name)) ?? null;
+    const folderId = await resolveFolderId(config, field('folder'));
+    const slug = String(field('slug') || '').trim();
+    const expiresAt = parseExpiresIn(field('expiresIn'));
+    const keepOriginal = field('original') === null ? config.keepOriginal : ['1', 'true'].includes(String(field('original')));
+    const file = isJson ? null : field('file');
+
+    if (!file) {
+      const sources = parseRemoteSources(field('url'), field('urls'));
+      if (!sources.length) throw apiError(400, 'NO_FILE');
+      if (sources.length > REMOTE_IMPORT_MAX_URLS) throw apiError(400, 'TOO_MANY_URLS', { max: REMOTE_IMPORT_MAX_URLS });
+      if (sources.length === 1) {
+        const remoteFile = await fetchRemoteFile(config, sources[0]);
+        const stored = await storeUploadedFile(config, user, remoteFile, { slug, folderId, expiresAt, keepOriginal });
+        return new Response(JSON.stringify(uploadResult(config, stored.duplicate ? 'api.importedDuplicate' : 'api.imported', stored)), { headers: { "Content-Type": "application/json" } });
+      }
+      // One result per source; a custom slug only makes sense for a single file
+      const results = [];
+      for (const source of sources) {
+        try {
+          const { key, duplicate, mirrorErrors } = await storeUploadedFile(config, user, await fetchRemoteFile(config, source), { folderId, expiresAt, keepOriginal });
+          results.push({ source, status: 1, url: buildFileUrl(config, key), duplicate, mirrorErrors });
+        } catch (error) {
+          results.push({ source, status: 0, ...errorBody(config, error) });
+        }
+      }
+      const imported = results.filter(result => result.status === 1).length;
+      return new Response(JSON.stringify({ status: imported ? 1 : 0, msg: translate(config.locale, 'api.importSummary', { imported, failed: results.length - imported }), results }), { headers: { "Content-Type": "application/json" } });
+    }
+
+    const stored = await storeUploadedFile(config, user, file, { slug, folderId, expiresAt, keepOriginal });
+    return new Response(JSON.stringify(uploadResult(config, stored.duplicate ? 'api.uploadedDuplicate' : 'api.uploaded', stored)), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    let statusCode = error.status || 500;
+    if (error instanceof TypeError && error.message.includes('Failed to fetch')) statusCode = 504;
+    return new Response(JSON.stringify({ status: 0, msg: translate(config.locale, 'api.uploadFailed'), ...errorBody(config, error) }), { status: statusCode, headers: { "Content-Type": "application/json" } });
+  }
+}
+
+// Response body of a stored upload. Mirror chats the file could not be forwarded to are listed in
+// mirrorErrors and named in msg, so the uploader knows the file has fewer copies than configured.
+function uploadResult(config, messageKey, { key, duplicate, mirrorErrors }) {
+  const warning = mirrorErrors.length ? ` ${translate(config.locale, 'api.mirrorFailed', { chats: mirrorErrors.map(failure => failure.chat_id).join(', ') })}` : '';
+  return { status: 1, msg: translate(config.locale, messageKey) + warning, url: buildFileUrl(config, key), duplicate, mirrorErrors };
+}
+
+// Sends one file to the storage chat and records it; shared by browser uploads and remote imports.
+// Content already stored (same SHA-256) is not sent again: an identical permanent upload by the same
+// owner into the same folder gets the existing key back, anything else a new alias row for the same
+// Telegram message(s) and their mirrors. A recompressed photo never stands in for an upload that keeps
+// the original. The MIME type comes from the content where it is recognisable.
+// Returns { key, duplicate, mirrorErrors } (see mirrorMessages).
+async function storeUploadedFile(config, user, file, { slug = '', folderId = null, expiresAt = null, keepOriginal = config.keepOriginal } = {}) {
+  // Read as a stream and by its first bytes only: the form already holds the whole file in memory
+  const mimeType = resolveMimeType(new Uint8Array(await file.slice(0, MAGIC_BYTES_LENGTH).arrayBuffer()), file.name, file.type);
+  const ext = getFileExtension(file.name) || getExtension(mimeType);
+  const contentHash = await sha256Hex(file.stream());
+  const existing = (await findFileByHash(config, contentHash, file.size)).filter(row => !keepOriginal || !row.compressed);
+  const sameFile = !slug && expiresAt === null && existing.find(row =>
+    row.deleted_at === null && row.expires_at === null && row.owner_id === user.id && row.folder_id === folderId && row.file_name === file.name);
+  if (sameFile) return { key: sameFile.file_key, duplicate: true, mirrorErrors: [] };
+
+  await assertQuota(config, user, file.size);
+  const customKey = slug ? await reserveCustomKey(config, slug, ext) : null;
+  const record = { key: customKey, ext, folderId, ownerId: user.id, fileName: file.name, fileSize: file.size, mimeType, contentHash, expiresAt };
+  if (existing.length) {
+    const source = existing[0];
+    const parts = ((await config.database.prepare(
+      'SELECT fileId, message_id, part_size FROM file_parts WHERE file_key = ? ORDER BY part_index'
+    ).bind(source.file_key).all()).results || []).map(part => ({ fileId: part.fileId, messageId: part.message_id, size: part.part_size }));
+    const copies = ((await config.database.prepare(
+      'SELECT part_index, chat_id, fileId, message_id FROM file_copies WHERE file_key = ?'
+    ).bind(source.file_key).all()).results || []).map(copy => ({ partIndex: copy.part_index, chatId: copy.chat_id, fileId: copy.fileId, messageId: copy.message_id }));
+    try {
+      const key = await saveFileRecord(config, { ...record, fileId: source.fileId, messageId: source.message_id, chatId: source.chat_id, thumbFileId: source.thumb_file_id, compressed: !!source.compressed, parts, copies });
+      return { key, duplicate: true, mirrorErrors: [] };
+    } catch (error) {
+      if (customKey && /UNIQUE/i.test(error.message)) throw apiError(409, 'SLUG_TAKEN');
+      throw error;
+    }
+  }
 
-    // Guess Telegram method by MIME family
-    const ext = (file.name.split('.').pop() || '').toLowerCase();
-    const mimeType = getContentType(ext);
+  const [chatId, ...mirrorChats] = pickStorageChats(config);
+  let fileId, messageId, thumbFileId, parts = [];
+  const compressed = file.size <= config.chunkSize && !keepOriginal && TELEGRAM_PHOTO_TYPES.includes(mimeType);
+  if (file.size > config.chunkSize) {
+    parts = await uploadFileParts(config, chatId, file);
+    ({ fileId, messageId, thumbFileId } = parts[0]);
+  } else {
+    // Telegram method by MIME family; images only become photos when recompression is acceptable
     const [mainType] = mimeType.split('/');
     const typeMap = {
-      image: { method: 'sendPhoto', field: 'photo' },
       video: { method: 'sendVideo', field: 'video' },
       audio: { method: 'sendAudio', field: 'audio' }
     };
-    let { method = 'sendDocument', field = 'document' } = typeMap[mainType] || {};
-    if (['application', 'text'].includes(mainType)) { method = 'sendDocument'; field = 'document'; }
+    const { method = 'sendDocument', field = 'document' } = compressed ? { method: 'sendPhoto', field: 'photo' } : typeMap[mainType] || {};
+    ({ fileId, messageId, thumbFileId } = await sendFileToTelegram(config, chatId, method, field, file, file.name));
+  }
+  const messageIds = parts.length ? parts.map(part => part.messageId) : [messageId];
+  const { copies, mirrorErrors } = await mirrorMessages(config, chatId, messageIds, mirrorChats);
+
+  try {
+    return { key: await saveFileRecord(config, { ...record, fileId, messageId, chatId, thumbFileId, compressed, parts, copies }), duplicate: false, mirrorErrors };
+  } catch (error) {
+    // e.g. another upload claimed the same slug in the meantime; don't leave orphaned messages behind
+    await Promise.all([
+      ...messageIds.map(id => deleteTelegramMessage(config, chatId, id).catch(() => {})),
+      ...copies.map(copy => deleteTelegramMessage(config, copy.chatId, copy.messageId).catch(() => {}))
+    ]);
+    if (customKey && /UNIQUE/i.test(error.message)) throw apiError(409, 'SLUG_TAKEN');
+    throw error;
+  }
+}
 
-    const tgFormData = new FormData();
-    tgFormData.append('chat_id', config.tgChatId);
-    tgFormData.append(field, file, file.name);
+// -------- Remote import --------
+const REMOTE_IMPORT_MAX_URLS = 20;
+const REMOTE_FETCH_TIMEOUT_MS = 30000;
 
-    const tgResponse = await fetch(`https://api.telegram.org/bot${config.tgBotToken}/${method}`, { method: 'POST', body: tgFormData });
-    if (!tgResponse.ok) throw new Error('Telegram参数配置错误');
+// "url" and "urls" may each be a string (one link per line) or, in JSON, an array
+function parseRemoteSources(...values) {
+  return [...new Set(values
+    .flatMap(value => Array.isArray(value) ? value : String(value ?? '').split(/[\r\n]+/))
+    .map(value => String(value).trim())
+    .filter(Boolean))];
+}
 
-    const tgData = await tgResponse.json();
-    const result = tgData.result;
-    const messageId = result?.message_id;
-    const fileId = result?.document?.file_id || result?.video?.file_id || result?.audio?.file_id || (result?.photo && result.photo[result.photo.length-1]?.file_id);
-    if (!fileId) throw new Error('未获取到文件ID');
-    if (!messageId) throw new Error('未获取到tg消息ID');
+// Downloads a remote file into memory, enforcing config.remoteMaxSize and config.remoteAllowedTypes.
+// Name and type come from the response headers, falling back to the URL path.
+async function fetchRemoteFile(config, source) {
+  let sourceUrl;
+  try {
+    sourceUrl = new URL(source);
+  } catch {
+    throw apiError(400, 'REMOTE_URL_INVALID', { url: source });
+  }
+  if (!['http:', 'https:'].includes(sourceUrl.protocol)) throw apiError(400, 'REMOTE_PROTOCOL_UNSUPPORTED');
 
-    const time = Date.now();
-    const timestamp = new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString();
-    const url = `${config.origin}/${time}.${ext}`;
+  let response;
+  try {
+    response = await fetch(sourceUrl.toString(), { redirect: 'follow', signal: AbortSignal.timeout(REMOTE_FETCH_TIMEOUT_MS) });
+  } catch (error) {
+    if (error.name === 'TimeoutError') throw apiError(502, 'REMOTE_TIMEOUT');
+    throw apiError(502, 'REMOTE_UNREACHABLE', { reason: error.message });
+  }
+  if (!response.ok) {
+    response.body?.cancel();
+    throw apiError(502, 'REMOTE_HTTP_ERROR', { status: response.status });
+  }
 
-    await config.database.prepare(`
-      INSERT INTO files (url, fileId, message_id, created_at, file_name, file_size, mime_type)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      url, fileId, messageId, timestamp, file.name, file.size, file.type || getContentType(ext)
-    ).run();
+  const mimeType = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase() || 'application/octet-stream';
+  const allowed = config.remoteAllowedTypes.length
+    ? config.remoteAllowedTypes.some(type => type.endsWith('/') ? mimeType.startsWith(type) : mimeType === type)
+    : mimeType !== 'text/html'; // most likely an error or landing page rather than the file itself
+  if (!allowed) {
+    response.body?.cancel();
+    throw apiError(415, 'REMOTE_TYPE_UNSUPPORTED', { type: mimeType });
+  }
+
+  const tooLarge = () => apiError(413, 'REMOTE_TOO_LARGE', { limit: formatSize(config.remoteMaxSize) });
+  if (Number(response.headers.get('Content-Length')) > config.remoteMaxSize) {
+    response.body?.cancel();
+    throw tooLarge();
+  }
+  // Content-Length may be missing or wrong, so count while reading as well
+  const chunks = [];
+  let size = 0;
+  const reader = response.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > config.remoteMaxSize) {
+      await reader.cancel();
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+  if (!size) throw apiError(422, 'REMOTE_EMPTY');
+
+  return new File(chunks, getRemoteFileName(response, sourceUrl, mimeType), { type: mimeType });
+}
+
+function getRemoteFileName(response, sourceUrl, mimeType) {
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const encoded = disposition.match(/filename\*\s*=\s*(?:UTF-8|utf-8)''([^;]+)/);
+  const plain = disposition.match(/filename\s*=\s*"?([^";]+)"?/);
+  let name = '';
+  try {
+    name = encoded ? decodeURIComponent(encoded[1].trim()) : plain ? plain[1].trim() : decodeURIComponent(sourceUrl.pathname.split('/').pop());
+  } catch {
+    name = plain ? plain[1].trim() : '';
+  }
+  name = name.replace(/[\\/\x00-\x1f]/g, '_').slice(0, 200) || 'file';
+  // Keys and Telegram methods are chosen by extension, so make sure there is one
+  return /\.[A-Za-z0-9]{1,8}$/.test(name) ? name : `${name}.${getExtension(mimeType)}`;
+}
+
+// Rows already holding this content, originals before recompressed photos, then oldest first;
+// trashed rows count too, their messages are still there
+async function findFileByHash(config, contentHash, size) {
+  return (await config.database.prepare(
+    'SELECT file_key, fileId, message_id, chat_id, folder_id, owner_id, file_name, deleted_at, expires_at, thumb_file_id, compressed FROM files WHERE content_hash = ? AND file_size = ? ORDER BY compressed, created_at'
+  ).bind(contentHash, size).all()).results || [];
+}
+
+// Optional time-to-live of an upload in seconds; returns the expiry (epoch ms) or null for none
+function parseExpiresIn(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) throw apiError(400, 'EXPIRY_INVALID');
+  return Date.now() + Math.round(seconds * 1000);
+}
+
+// Inserts the files row (plus the part rows of a chunked upload and the mirrored copies) and returns
+// the file key. Without a custom key the key is "<upload time>.<ext>".
+async function saveFileRecord(config, { key, ext, fileId, messageId, chatId = null, fileName, fileSize, mimeType, folderId = null, ownerId = null, contentHash = null, expiresAt = null, thumbFileId = null, compressed = false, parts = [], copies = [] }) {
+  const time = Date.now();
+  const timestamp = toStoredTimestamp(time);
+  const fileKey = key || `${time}.${ext}`;
 
-    return new Response(JSON.stringify({ status: 1, msg: "✔ 上传成功", url }), { headers: { "Content-Type": "application/json" } });
+  await config.database.batch([
+    config.database.prepare(`
+      INSERT INTO files (file_key, fileId, message_id, chat_id, created_at, file_name, file_size, mime_type, folder_id, owner_id, content_hash, expires_at, thumb_file_id, compressed)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(fileKey, fileId, messageId, chatId, timestamp, fileName, fileSize, mimeType, folderId, ownerId, contentHash, expiresAt, thumbFileId, compressed ? 1 : 0),
+    ...parts.map((part, index) => config.database.prepare(
+      'INSERT INTO file_parts (file_key, part_index, fileId, message_id, part_size) VALUES (?, ?, ?, ?, ?)'
+    ).bind(fileKey, index, part.fileId, part.messageId, part.size)),
+    ...copies.map(copy => config.database.prepare(
+      'INSERT INTO file_copies (file_key, part_index, chat_id, fileId, message_id) VALUES (?, ?, ?, ?, ?)'
+    ).bind(fileKey, copy.partIndex, copy.chatId, copy.fileId, copy.messageId))
+  ]);
+  return fileKey;
+}
+
+// Storage already used by a user and their quota (null = unlimited). The trash does not count, so a
+// delete frees quota at once; restoring checks it again.
+async function getStorageUsage(config, userId) {
+  return config.database.prepare(
+    `SELECT u.quota_bytes, (SELECT COALESCE(SUM(file_size), 0) FROM files WHERE owner_id = u.id AND deleted_at IS NULL) AS used_bytes
+     FROM users u WHERE u.id = ?`
+  ).bind(userId).first();
+}
+
+// Checked before sending to Telegram, so an upload over quota is refused without using the bot
+async function assertQuota(config, user, size) {
+  if (user.id === null) return;
+  const usage = await getStorageUsage(config, user.id);
+  if (usage && usage.quota_bytes !== null && usage.used_bytes + size > usage.quota_bytes) {
+    throw apiError(413, 'QUOTA_EXCEEDED', { used: formatSize(usage.used_bytes), quota: formatSize(usage.quota_bytes) });
+  }
+}
+
+// Validates a user-chosen slug and makes sure it is free; the file extension is appended when the
+// slug has none. Checked before sending to Telegram so a taken slug costs no upload.
+async function reserveCustomKey(config, slug, ext) {
+  if (!/^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/.test(slug)) {
+    throw apiError(400, 'SLUG_INVALID');
+  }
+  const key = slug.includes('.') || !ext ? slug : `${slug}.${ext}`;
+  if (ROUTES[`/${key}`]) throw apiError(409, 'SLUG_RESERVED');
+  const existing = await config.database.prepare('SELECT 1 FROM files WHERE file_key = ?').bind(key).first();
+  if (existing) throw apiError(409, 'SLUG_TAKEN');
+  return key;
+}
+
+// -------- Telegram client --------
+// Every Bot API request goes through telegramFetch, so the endpoint (TG_API_BASE, e.g. a self-hosted
+// Bot API server without the 20MB getFile limit) and rate-limit handling live in one place.
+const TELEGRAM_API_BASE = 'https://api.telegram.org';
+const TELEGRAM_MAX_RETRIES = 3;
+// Longer waits than this (seconds) are not worth holding a request open for; the 429 is passed on
+const TELEGRAM_MAX_RETRY_WAIT = 30;
+
+function telegramMethodUrl(config, method, params) {
+  const query = params ? `?${new URLSearchParams(params)}` : '';
+  return `${config.tgApiBase}/bot${config.tgBotToken}/${method}${query}`;
+}
+
+// Download URL for a getFile path. A self-hosted server started with --local answers with an absolute
+// path on its own disk and serves no downloads; TG_LOCAL_FILE_BASE is then where its working directory
+// (holding <token>/documents/...) is published, e.g. by nginx.
+function telegramFileUrl(config, filePath) {
+  if (!filePath.startsWith('/')) return `${config.tgApiBase}/file/bot${config.tgBotToken}/${filePath}`;
+  if (!config.tgLocalFileBase) throw apiError(500, 'TELEGRAM_LOCAL_FILE_BASE_MISSING');
+  const tokenDir = filePath.indexOf(`/${config.tgBotToken}/`);
+  const relativePath = tokenDir === -1 ? filePath.slice(1) : filePath.slice(tokenDir + 1);
+  return `${config.tgLocalFileBase}/${relativePath.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+// fetch() that waits and retries when Telegram answers 429, for as long as it asks (retry_after) or
+// with exponential backoff when it does not say. Bodies must be replayable (FormData, strings).
+async function telegramFetch(url, init = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const resp = await fetch(url, init);
+    if (resp.status !== 429 || attempt >= TELEGRAM_MAX_RETRIES) return resp;
+    const data = await resp.clone().json().catch(() => ({}));
+    const wait = data.parameters?.retry_after ?? 2 ** attempt;
+    if (wait > TELEGRAM_MAX_RETRY_WAIT) return resp;
+    await resp.body?.cancel();
+    await new Promise(resolve => setTimeout(resolve, wait * 1000));
+  }
+}
+
+async function sendFileToTelegram(config, chatId, method, field, blob, fileName) {
+  const tgFormData = new FormData();
+  tgFormData.append('chat_id', chatId);
+  tgFormData.append(field, blob, fileName);
+
+  const tgResponse = await telegramFetch(telegramMethodUrl(config, method), { method: 'POST', body: tgFormData });
+  if (tgResponse.status === 429) throw apiError(429, 'TELEGRAM_RATE_LIMITED');
+  if (!tgResponse.ok) throw apiError(502, 'TELEGRAM_SEND_FAILED');
+
+  const tgData = await tgResponse.json().catch(() => ({}));
+  const result = tgData.result;
+  const messageId = result?.message_id;
+  const fileId = getMessageMedia(result)?.file_id;
+  if (!fileId) throw apiError(500, 'TELEGRAM_FILE_ID_MISSING');
+  if (!messageId) throw apiError(500, 'TELEGRAM_MESSAGE_ID_MISSING');
+  return { fileId, messageId, thumbFileId: getThumbnailFileId(result) };
+}
+
+// The stored file of a message: its document, video or audio, or the largest photo size
+function getMessageMedia(message) {
+  return message?.document || message?.video || message?.audio || (message?.photo && message.photo[message.photo.length - 1]) || null;
+}
+
+// Smallest photo size that still fills an admin card, or the largest when all are smaller
+const THUMB_MIN_SIZE = 320;
+
+// Telegram's own preview of a message: one of the photo sizes, or the thumbnail Telegram made for a
+// document, video or audio (cover art). '' when there is none.
+function getThumbnailFileId(message) {
+  if (message?.photo?.length) {
+    return (message.photo.find(size => Math.max(size.width, size.height) >= THUMB_MIN_SIZE) || message.photo[message.photo.length - 1]).file_id;
+  }
+  const media = message?.document || message?.video || message?.audio || message?.animation;
+  return media?.thumbnail?.file_id || media?.thumb?.file_id || '';
+}
+
+// Sends the file to a chat as consecutive documents of at most config.chunkSize bytes.
+// Parts already sent are removed again if a later one fails.
+async function uploadFileParts(config, chatId, file) {
+  const parts = [];
+  const total = Math.ceil(file.size / config.chunkSize);
+  try {
+    for (let index = 0; index < total; index++) {
+      const blob = file.slice(index * config.chunkSize, Math.min((index + 1) * config.chunkSize, file.size));
+      const { fileId, messageId, thumbFileId } = await sendFileToTelegram(config, chatId, 'sendDocument', 'document', blob, `${file.name}.part${index + 1}of${total}`);
+      parts.push({ fileId, messageId, thumbFileId, size: blob.size });
+    }
   } catch (error) {
-    let statusCode = 500;
-    if (error.message.includes('Telegram参数配置错误')) statusCode = 502;
-    else if (error instanceof TypeError && error.message.includes('Failed to fetch')) statusCode = 504;
-    return new Response(JSON.stringify({ status: 0, msg: "✘ 上传失败", error: error.message }), { status: statusCode, headers: { "Content-Type": "application/json" } });
+    await Promise.all(parts.map(part => deleteTelegramMessage(config, chatId, part.messageId).catch(() => {})));
+    throw error;
+  }
+  return parts;
+}
+
+// Chats a new file goes to: [the chat it is sent to, ...the chats it is mirrored to]
+function pickStorageChats(config) {
+  const chats = config.storageChats;
+  if (config.storageMode === 'spread') return [chats[Math.floor(Math.random() * chats.length)]];
+  return chats;
+}
+
+// Forwards the stored message(s) of a file to each mirror chat. Forwarded rather than copied because
+// forwardMessage answers with the message, and so with the file ID the mirror can be read by. A chat
+// that fails is skipped (its forwards are removed again) and reported; the file keeps the other copies.
+// Returns { copies: [{ partIndex, chatId, fileId, messageId }], mirrorErrors: [{ chat_id, error, code }] }.
+async function mirrorMessages(config, chatId, messageIds, mirrorChats) {
+  const copies = [];
+  const mirrorErrors = [];
+  for (const mirrorChatId of mirrorChats) {
+    const forwarded = [];
+    try {
+      for (const [partIndex, messageId] of messageIds.entries()) {
+        const { result } = await callTelegramApi(config, 'forwardMessage', { chat_id: mirrorChatId, from_chat_id: chatId, message_id: messageId, disable_notification: true });
+        const fileId = getMessageMedia(result)?.file_id;
+        if (!fileId) throw apiError(500, 'TELEGRAM_FILE_ID_MISSING');
+        forwarded.push({ partIndex, chatId: mirrorChatId, fileId, messageId: result.message_id });
+      }
+      copies.push(...forwarded);
+    } catch (error) {
+      await Promise.all(forwarded.map(copy => deleteTelegramMessage(config, copy.chatId, copy.messageId).catch(() => {})));
+      mirrorErrors.push({ chat_id: mirrorChatId, ...errorBody(config, error) });
+    }
+  }
+  return { copies, mirrorErrors };
+}
+
+async function deleteTelegramMessage(config, chatId, messageId) {
+  const resp = await telegramFetch(telegramMethodUrl(config, 'deleteMessage', { chat_id: chatId, message_id: messageId }));
+  if (!resp.ok) {
+    const errorData = await resp.json().catch(() => ({}));
+    throw apiError(500, 'TELEGRAM_DELETE_FAILED', { description: errorData.description || resp.status });
+  }
+}
+
+// JSON Bot API call; throws with Telegram's description when the request is rejected
+async function callTelegramApi(config, method, params) {
+  const resp = await telegramFetch(telegramMethodUrl(config, method), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(params)
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok || !data.ok) throw apiError(500, 'TELEGRAM_API_FAILED', { method, description: data.description || resp.status });
+  return data;
+}
+
+// Resolves a Telegram fileId to its download response; errors carry the HTTP status to report
+async function fetchTelegramFile(config, fileId) {
+  const tgResp = await telegramFetch(telegramMethodUrl(config, 'getFile', { file_id: fileId }));
+  if (tgResp.status === 429) throw apiError(503, 'STORAGE_BUSY');
+  if (!tgResp.ok) throw apiError(500, 'FILE_FETCH_FAILED');
+  const tgData = await tgResp.json().catch(() => ({}));
+  const filePath = tgData.result?.file_path;
+  if (!filePath) throw apiError(404, 'FILE_PATH_INVALID');
+
+  const fileResponse = await telegramFetch(telegramFileUrl(config, filePath));
+  if (!fileResponse.ok) throw apiError(500, 'FILE_DOWNLOAD_FAILED');
+  return fileResponse;
+}
+
+// fetchTelegramFile for the first of several copies that can still be read: the original, then its
+// mirrors. A rate limit is passed on at once; the other copies go through the same bot.
+async function fetchStoredFile(config, fileIds) {
+  let firstError = null;
+  for (const fileId of fileIds) {
+    try {
+      return await fetchTelegramFile(config, fileId);
+    } catch (error) {
+      if (error.code === 'STORAGE_BUSY') throw error;
+      firstError ??= error;
+    }
+  }
+  throw firstError;
+}
+
+// File IDs to read each part of the given files from, original first, keyed "<file key>/<part index>"
+// (part 0 for a file stored as one message). parts are file_parts rows, files rows of files.
+async function loadFileSources(config, files, parts) {
+  const keys = [...new Set(files.map(file => file.file_key))];
+  const copies = keys.length ? (await config.database.prepare(
+    `SELECT file_key, part_index, fileId FROM file_copies WHERE file_key IN (${keys.map(() => '?').join(', ')})`
+  ).bind(...keys).all()).results || [] : [];
+  const sources = new Map();
+  for (const file of files) sources.set(`${file.file_key}/0`, [file.fileId]);
+  for (const part of parts) sources.set(`${part.file_key}/${part.part_index}`, [part.fileId]);
+  for (const copy of copies) sources.get(`${copy.file_key}/${copy.part_index}`)?.push(copy.fileId);
+  return sources;
+}
+
+// Concatenates bytes start..end (inclusive) of a chunked file, fetching only the parts that overlap
+// the range and each one only when the previous is drained. Each part lists its fileIds, original first.
+function streamFileParts(config, parts, start, end) {
+  const segments = [];
+  let offset = 0;
+  for (const part of parts) {
+    const partStart = offset;
+    const partEnd = offset + part.part_size - 1;
+    offset += part.part_size;
+    if (partEnd < start || partStart > end) continue;
+    segments.push({ fileIds: part.fileIds, from: Math.max(start, partStart) - partStart, to: Math.min(end, partEnd) - partStart });
   }
+
+  let index = 0;
+  let reader = null;
+  return new ReadableStream({
+    async pull(controller) {
+      while (true) {
+        if (!reader) {
+          if (index >= segments.length) { controller.close(); return; }
+          const segment = segments[index++];
+          const partResponse = await fetchStoredFile(config, segment.fileIds);
+          reader = sliceStream(partResponse.body, segment.from, segment.to).getReader();
+        }
+        const { done, value } = await reader.read();
+        if (done) { reader = null; continue; }
+        controller.enqueue(value);
+        return;
+      }
+    },
+    cancel(reason) {
+      if (reader) return reader.cancel(reason);
+    }
+  });
 }
 
 // -------- Admin (list + grid) --------
 async function handleAdminRequest(request, config) {
-  if (config.enableAuth && !authenticate(request, config)) {
-    return Response.redirect(`${new URL(request.url).origin}/`, 302);
-  }
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  const t = (key, params) => translate(config.locale, key, params);
 
-  const files = await config.database.prepare(
-    `SELECT url, fileId, message_id, created_at, file_name, file_size, mime_type
-     FROM files
-     ORDER BY created_at DESC`
-  ).all();
+  const folders = await loadFolders(config);
+  const params = new URL(request.url).searchParams;
+  // ?trash=1 shows the (own, for uploaders) trash instead of a folder
+  const trashView = params.has('trash');
+  const currentFolderId = trashView ? null : parseFolderId(params.get('folder'));
+  if ((currentFolderId !== null && !folders.some(folder => folder.id === currentFolderId)) || (trashView && !hasRole(user, 'uploader'))) {
+    return Response.redirect(`${new URL(request.url).origin}/admin`, 302);
+  }
 
-  const fileList = files.results || [];
+  const subfolders = trashView ? [] : folders.filter(folder => folder.parent_id === currentFolderId).sort((a, b) => a.name.localeCompare(b.name));
+  // Folders are shared by everyone, so only admins may rename, move or delete them
+  const folderActions = folder => hasRole(user, 'admin') ? `
+          <button class="btn btn-copy" onclick="renameFolder(${folder.id})">${t('admin.rename')}</button>
+          <button class="btn btn-copy" onclick="openMoveModal({ folderIds: [${folder.id}] })">${t('admin.move')}</button>
+          <button class="btn btn-delete" onclick="deleteFolder(${folder.id})">${t('admin.delete')}</button>` : '';
 
-  const fileCards = fileList.map(file => {
-    const fileName = file.file_name;
-    const fileSize = formatSize(file.file_size || 0);
-    const createdAt = new Date(file.created_at).toISOString().replace('T', ' ').split('.')[0];
-    return `
-      <div class="file-card" data-url="${file.url}">
-        <div class="file-preview">${getPreviewHtml(file.url)}</div>
+  const folderCards = subfolders.map(folder => `
+      <div class="file-card folder-card" data-folder-id="${folder.id}">
+        <a class="file-preview" href="/admin?folder=${folder.id}"><div style="font-size: 48px">📁</div></a>
         <div class="file-info">
-          <div class="name">${escapeHtml(fileName)}</div>
-          <div class="size">${fileSize}</div>
-          <div class="time">${createdAt}</div>
+          <div class="name">${escapeHtml(folder.name)}</div>
+          <div class="size">${t('admin.folder')}</div>
         </div>
-        <div class="file-actions">
-          <button class="btn btn-copy" onclick="showQRCode('${file.url}')">分享</button>
-          <a class="btn btn-down" href="${file.url}" download="${escapeHtml(fileName)}">下载</a>
-          <button class="btn btn-delete" onclick="deleteFile('${file.url}')">删除</button>
+        <div class="file-actions">${folderActions(folder)}
         </div>
       </div>
-    `;
-  }).join('');
-
-  const fileRows = fileList.map((file, idx) => {
-    const fileName = file.file_name;
-    const fileSize = formatSize(file.file_size || 0);
-    const createdAt = new Date(file.created_at).toISOString().replace('T', ' ').split('.')[0];
-    return `
-      <tr data-url="${file.url}">
-        <td class="idx">${idx + 1}</td>
-        <td class="name">${escapeHtml(fileName)}</td>
-        <td class="size">${fileSize}</td>
-        <td class="type">${escapeHtml(file.mime_type || '')}</td>
-        <td class="time">${createdAt}</td>
-        <td class="actions">
-          <button class="btn btn-copy" onclick="showQRCode('${file.url}')">分享</button>
-          <a class="btn btn-down" href="${file.url}" download="${escapeHtml(fileName)}">下载</a>
-          <button class="btn btn-delete" onclick="deleteFile('${file.url}')">删除</button>
+    `).join('');
+
+  const folderRows = subfolders.map(folder => `
+      <tr data-folder-id="${folder.id}">
+        <td class="idx">📁</td>
+        <td class="name"><a href="/admin?folder=${folder.id}">${escapeHtml(folder.name)}</a></td>
+        <td class="size">-</td>
+        <td class="type">${t('admin.folder')}</td>
+        <td class="time">${toStoredTimestamp(folder.created_at).replace('T', ' ').split('.')[0]}</td>
+        <td class="actions">${folderActions(folder)}
         </td>
       </tr>
-    `;
-  }).join('');
+    `).join('');
 
   const qrModal = `
     <div id="qrModal" class="qr-modal">
       <div class="qr-content">
+        <div class="share-link-type">
+          <label><input type="radio" name="shareLinkType" value="view" checked onchange="selectShareLinkType()"> ${t('admin.linkView')}</label>
+          <label><input type="radio" name="shareLinkType" value="file" onchange="selectShareLinkType()"> ${t('admin.linkFile')}</label>
+        </div>
         <div id="qrcode"></div>
+        <div class="share-url" id="shareUrl"></div>
+        ${hasRole(user, 'uploader') ? `<div class="share-options">
+          <input type="number" id="shareHours" min="0" step="any" placeholder="${t('admin.shareHours')}">
+          <input type="number" id="shareMaxDownloads" min="1" step="1" placeholder="${t('admin.shareMaxDownloads')}">
+          <input type="text" id="sharePassword" placeholder="${t('admin.sharePassword')}" autocomplete="off">
+          <button class="qr-copy" onclick="createShareLink()">${t('admin.createShareLink')}</button>
+        </div>` : ''}
+        <div class="qr-buttons">
+          <button class="qr-copy" id="qrCopyBtn" onclick="handleCopyUrl()">${t('admin.copyLink')}</button>
+          <button class="qr-close" onclick="closeQRModal()">${t('common.close')}</button>
+        </div>
+      </div>
+    </div>
+    <div id="statsModal" class="qr-modal">
+      <div class="qr-content shares-content stats-content">
+        <h3 id="statsTitle">${t('admin.statsTitle')}</h3>
+        <select id="statsDays" onchange="loadStats()">
+          <option value="7">${t('admin.lastDays', { days: 7 })}</option>
+          <option value="30" selected>${t('admin.lastDays', { days: 30 })}</option>
+          <option value="90">${t('admin.lastDays', { days: 90 })}</option>
+        </select>
+        <div class="stats-totals" id="statsTotals"></div>
+        <h4>${t('admin.dailyTraffic')}</h4>
+        <div class="stats-chart" id="statsChart"></div>
+        <h4>${t('admin.topFiles')}</h4>
+        <table>
+          <thead><tr><th>${t('admin.colFile')}</th><th>${t('admin.colDownloadCount')}</th><th>${t('admin.colCacheHits')}</th><th>${t('admin.colTraffic')}</th><th>${t('admin.colLastAccess')}</th></tr></thead>
+          <tbody id="statsFiles"></tbody>
+        </table>
+        <h4>${t('admin.referrers')}</h4>
+        <table>
+          <thead><tr><th>${t('admin.colReferrer')}</th><th>${t('admin.colDownloadCount')}</th></tr></thead>
+          <tbody id="statsReferrers"></tbody>
+        </table>
+        <div class="qr-buttons">
+          <button class="qr-close" onclick="closeStatsModal()">${t('common.close')}</button>
+        </div>
+      </div>
+    </div>
+    <div id="tokensModal" class="qr-modal">
+      <div class="qr-content shares-content">
+        <h3>${t('admin.apiTokens')}</h3>
+        <div class="token-form">
+          <input type="text" id="tokenName" placeholder="${t('admin.tokenName')}">
+          <label><input type="checkbox" class="token-scope" value="read" checked>${t('admin.scope.read')}</label>
+          <label><input type="checkbox" class="token-scope" value="upload" checked>${t('admin.scope.upload')}</label>
+          <label><input type="checkbox" class="token-scope" value="delete">${t('admin.scope.delete')}</label>
+          <button class="qr-copy" onclick="createApiToken()">${t('admin.createToken')}</button>
+        </div>
+        <div class="token-created" id="tokenCreated">
+          <div>${t('admin.tokenShownOnce')}</div>
+          <input type="text" id="tokenValue" readonly onclick="this.select()">
+          <div class="qr-buttons">
+            <button class="qr-copy" onclick="downloadUploaderConfig('sharex')">${t('admin.downloadSharex')}</button>
+            <button class="qr-copy" onclick="downloadUploaderConfig('picgo')">${t('admin.downloadPicgo')}</button>
+          </div>
+        </div>
+        <table>
+          <thead><tr><th>${t('admin.colTokenName')}</th><th>${t('admin.colToken')}</th><th>${t('admin.colScopes')}</th><th>${t('admin.colUser')}</th><th>${t('admin.colCreated')}</th><th>${t('admin.colLastUsed')}</th><th>${t('admin.colActions')}</th></tr></thead>
+          <tbody id="tokensBody"></tbody>
+        </table>
+        <div class="qr-buttons">
+          <button class="qr-close" onclick="closeTokensModal()">${t('common.close')}</button>
+        </div>
+      </div>
+    </div>
+    <div id="sharesModal" class="qr-modal">
+      <div class="qr-content shares-content">
+        <h3>${t('admin.shareLinks')}</h3>
+        <table>
+          <thead><tr><th>${t('admin.colFile')}</th><th>${t('admin.colCreated')}</th><th>${t('admin.colExpires')}</th><th>${t('admin.colDownloads')}</th><th>${t('admin.colPassword')}</th><th>${t('admin.colStatus')}</th><th>${t('admin.colActions')}</th></tr></thead>
+          <tbody id="sharesBody"></tbody>
+        </table>
+        <div class="qr-buttons">
+          <button class="qr-close" onclick="closeSharesModal()">${t('common.close')}</button>
+        </div>
+      </div>
+    </div>
+    ${hasRole(user, 'admin') ? `<div id="maintenanceModal" class="qr-modal">
+      <div class="qr-content shares-content maintenance-content">
+        <h3>${t('admin.maintenance')}</h3>
+        <h4>${t('admin.exportIndex')}</h4>
+        <div class="token-form">
+          <a class="btn btn-copy" href="/api/export?format=json">${t('admin.exportJson')}</a>
+          <a class="btn btn-copy" href="/api/export?format=csv">${t('admin.exportCsv')}</a>
+        </div>
+        <h4>${t('admin.importIndex')}</h4>
+        <div class="token-form">
+          <input type="file" id="importFile" accept=".json,.csv,application/json,text/csv">
+          <select id="importConflict">
+            <option value="skip">${t('admin.importSkip')}</option>
+            <option value="overwrite">${t('admin.importOverwrite')}</option>
+            <option value="rename">${t('admin.importRename')}</option>
+          </select>
+          <button class="qr-copy" onclick="importIndex()">${t('admin.import')}</button>
+        </div>
+        <div class="maintenance-result" id="importResult"></div>
+        <h4>${t('admin.integrityCheck')}</h4>
+        <div class="maintenance-result" id="verifySummary"></div>
+        <div class="token-form">
+          <button class="qr-copy" id="verifyButton" onclick="toggleVerify()">${t('admin.startCheck')}</button>
+          <button class="qr-copy" onclick="showProblemFiles()">${t('admin.showProblemFiles')}</button>
+        </div>
+        <h4>${t('admin.thumbnails')}</h4>
+        <div class="maintenance-result" id="thumbSummary"></div>
+        <div class="token-form">
+          <button class="qr-copy" id="thumbButton" onclick="toggleThumbBackfill()">${t('admin.thumbBackfill')}</button>
+        </div>
+        <div class="qr-buttons">
+          <button class="qr-close" onclick="closeMaintenanceModal()">${t('common.close')}</button>
+        </div>
+      </div>
+    </div>` : ''}
+    <div id="moveModal" class="qr-modal">
+      <div class="qr-content">
+        <h3>${t('admin.moveTo')}</h3>
+        <select id="moveTarget" class="move-select"></select>
         <div class="qr-buttons">
-          <button class="qr-copy" onclick="handleCopyUrl()">复制链接</button>
-          <button class="qr-close" onclick="closeQRModal()">关闭</button>
+          <button class="qr-copy" onclick="confirmMove()">${t('admin.move')}</button>
+          <button class="qr-close" onclick="closeMoveModal()">${t('common.cancel')}</button>
         </div>
       </div>
     </div>
   `;
 
-  const html = generateAdminPage(fileCards, fileRows, qrModal);
+  const breadcrumb = trashView ? `<a href="/admin">${t('admin.allFiles')}</a> / <span>${t('admin.trash')}</span>` : [{ id: null, name: t('admin.allFiles') }, ...getFolderAncestors(folders, currentFolderId)]
+    .map((folder, index, list) => index === list.length - 1
+      ? `<span>${escapeHtml(folder.name)}</span>`
+      : `<a href="/admin${folder.id === null ? '' : `?folder=${folder.id}`}">${escapeHtml(folder.name)}</a>`)
+    .join(' / ');
+
+  const html = generateAdminPage(config.locale, folderCards, folderRows, qrModal, {
+    enableAuth: config.enableAuth,
+    role: user.role,
+    breadcrumb,
+    trashView,
+    trashRetentionDays: config.trashRetentionDays,
+    currentFolderId,
+    folderOptions: folders.map(folder => ({ id: folder.id, path: getFolderPathName(folders, folder.id) }))
+      .sort((a, b) => a.path.localeCompare(b.path))
+  });
   return new Response(html, { headers: { "Content-Type": "text/html; charset=UTF-8" } });
 }
 
-// -------- Search API --------
-async function handleSearchRequest(request, config) {
-  if (config.enableAuth && !authenticate(request, config)) {
-    return Response.redirect(`${new URL(request.url).origin}/`, 302);
-  }
-  try {
-    const { query } = await request.json();
-    const searchPattern = `%${query}%`;
-    const files = await config.database.prepare(
-      `SELECT url, fileId, message_id, created_at, file_name, file_size, mime_type
-       FROM files
-       WHERE file_name LIKE ? ESCAPE '!'
-       COLLATE NOCASE
-       ORDER BY created_at DESC`
-    ).bind(searchPattern).all();
-    return new Response(JSON.stringify({ files: files.results || [] }), { headers: { "Content-Type": "application/json" } });
-  } catch (error) {
-    return new Response(JSON.stringify({ error: error.message }), { status: 500, headers: { "Content-Type": "application/json" } });
+// -------- Folders --------
+async function loadFolders(config) {
+  const folders = await config.database.prepare('SELECT id, parent_id, name, created_at FROM folders').all();
+  return folders.results || [];
+}
+
+// Returns a folder id, or null for the root; anything that is not a positive integer counts as root
+function parseFolderId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Like parseFolderId, but a given id must exist
+async function resolveFolderId(config, value) {
+  const id = parseFolderId(value);
+  if (id === null) return null;
+  const folder = await config.database.prepare('SELECT id FROM folders WHERE id = ?').bind(id).first();
+  if (!folder) throw apiError(404, 'FOLDER_TARGET_NOT_FOUND');
+  return id;
+}
+
+// Root-first chain of folders ending with the given one
+function getFolderAncestors(folders, id) {
+  const byId = new Map(folders.map(folder => [folder.id, folder]));
+  const chain = [];
+  for (let folder = byId.get(id); folder && chain.length <= folders.length; folder = byId.get(folder.parent_id)) {
+    chain.unshift(folder);
   }
+  return chain;
 }
 
-// -------- File fetch & cache --------
-async function handleFileRequest(request, config) {
-  const url = request.url;
-  const cache = caches.default;
-  const cacheKey = new Request(url);
-  try {
-    const cached = await cache.match(cacheKey);
-    if (cached) return cached;
+function getFolderPathName(folders, id) {
+  return getFolderAncestors(folders, id).map(folder => folder.name).join('/');
+}
 
-    const file = await config.database.prepare(
-      `SELECT fileId, message_id, file_name, mime_type
-       FROM files WHERE url = ?`
-    ).bind(url).first();
-    if (!file) return new Response('文件不存在', { status: 404, headers: { "Content-Type": "text/plain; charset=UTF-8" } });
-
-    const tgResp = await fetch(`https://api.telegram.org/bot${config.tgBotToken}/getFile?file_id=${file.fileId}`);
-    if (!tgResp.ok) return new Response('获取文件失败', { status: 500, headers: { "Content-Type": "text/plain; charset=UTF-8" } });
-    const tgData = await tgResp.json();
-    const filePath = tgData.result?.file_path;
-    if (!filePath) return new Response('文件路径无效', { status: 404, headers: { "Content-Type": "text/plain; charset=UTF-8" } });
-
-    const fileUrl = `https://api.telegram.org/file/bot${config.tgBotToken}/${filePath}`;
-    const fileResponse = await fetch(fileUrl);
-    if (!fileResponse.ok) return new Response('下载文件失败', { status: 500, headers: { "Content-Type": "text/plain; charset=UTF-8" } });
-
-    const contentType = file.mime_type || getContentType(url.split('.').pop().toLowerCase());
-    const response = new Response(fileResponse.body, {
-      headers: {
-        'Content-Type': contentType,
-        'Cache-Control': 'public, max-age=31536000',
-        'X-Content-Type-Options': 'nosniff',
-        'Access-Control-Allow-Origin': '*',
-        'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(file.file_name || '')}`
-      }
-    });
-    await cache.put(cacheKey, response.clone());
+// The folder itself plus every folder below it
+function getFolderSubtreeIds(folders, id) {
+  const ids = [id];
+  for (let i = 0; i < ids.length; i++) {
+    folders.forEach(folder => { if (folder.parent_id === ids[i]) ids.push(folder.id); });
+  }
+  return ids;
+}
+
+function validateFolderName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > 100 || trimmed.includes('/')) {
+    throw apiError(400, 'FOLDER_NAME_INVALID');
+  }
+  return trimmed;
+}
+
+function folderErrorResponse(config, error) {
+  if (!error.status && /UNIQUE/i.test(error.message)) return errorResponse(config, apiError(409, 'FOLDER_NAME_TAKEN'));
+  return errorResponse(config, error);
+}
+
+// GET lists every folder with its full path; POST {name, parentId} creates one
+async function handleFoldersRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  try {
+    if (request.method === 'POST') {
+      if (!hasRole(user, 'uploader')) return forbiddenResponse(config);
+      const { name, parentId } = await request.json();
+      const folderName = validateFolderName(name);
+      const parent = await resolveFolderId(config, parentId);
+      const created = await config.database.prepare(
+        'INSERT INTO folders (parent_id, name, created_at) VALUES (?, ?, ?) RETURNING id'
+      ).bind(parent, folderName, Date.now()).first();
+      return new Response(JSON.stringify({ success: true, id: created.id }), { headers: { "Content-Type": "application/json" } });
+    }
+    const folders = await loadFolders(config);
+    const list = folders.map(folder => ({ ...folder, path: getFolderPathName(folders, folder.id) }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+    return new Response(JSON.stringify({ folders: list }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return folderErrorResponse(config, error);
+  }
+}
+
+async function handleRenameFolderRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'admin')) return forbiddenResponse(config);
+  try {
+    const { id, name } = await request.json();
+    const folderName = validateFolderName(name);
+    const result = await config.database.prepare('UPDATE folders SET name = ? WHERE id = ?').bind(folderName, parseFolderId(id)).run();
+    if (!result.meta?.changes) return errorResponse(config, apiError(404, 'FOLDER_NOT_FOUND'));
+    return new Response(JSON.stringify({ success: true }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return folderErrorResponse(config, error);
+  }
+}
+
+// A non-empty folder is only deleted with {recursive: true}; its files then go to the trash like single
+// deleted files (and are restored into the root folder). Trashed files do not keep a folder alive.
+async function handleDeleteFolderRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'admin')) return forbiddenResponse(config);
+  try {
+    const { id, recursive } = await request.json();
+    const folders = await loadFolders(config);
+    const folderId = parseFolderId(id);
+    if (!folders.some(folder => folder.id === folderId)) {
+      return errorResponse(config, apiError(404, 'FOLDER_NOT_FOUND'));
+    }
+
+    const subtree = getFolderSubtreeIds(folders, folderId);
+    const placeholders = subtree.map(() => '?').join(', ');
+    const files = (await config.database.prepare(
+      `SELECT file_key FROM files WHERE folder_id IN (${placeholders}) AND deleted_at IS NULL`
+    ).bind(...subtree).all()).results || [];
+
+    if ((files.length || subtree.length > 1) && !recursive) {
+      return new Response(JSON.stringify({ ...errorBody(config, apiError(409, 'FOLDER_NOT_EMPTY')), files: files.length, folders: subtree.length - 1 }), { status: 409, headers: { "Content-Type": "application/json" } });
+    }
+
+    for (const file of files) await trashFileRecord(config, file.file_key);
+    await config.database.batch([
+      config.database.prepare(`UPDATE files SET folder_id = NULL WHERE folder_id IN (${placeholders})`).bind(...subtree),
+      config.database.prepare(`DELETE FROM folders WHERE id IN (${placeholders})`).bind(...subtree)
+    ]);
+    return new Response(JSON.stringify({
+      success: true,
+      files: files.length,
+      folders: subtree.length,
+      message: files.length ? translate(config.locale, 'api.folderDeletedFilesTrashed', { count: files.length }) : translate(config.locale, 'api.folderDeleted')
+    }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return folderErrorResponse(config, error);
+  }
+}
+
+// Moves files (keys or links) and folders into targetId (null/absent = root)
+async function handleMoveRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'uploader')) return forbiddenResponse(config);
+  try {
+    const { keys = [], folderIds = [], targetId } = await request.json();
+    const target = await resolveFolderId(config, targetId);
+    const folders = await loadFolders(config);
+
+    const statements = [];
+    if (folderIds.length && !hasRole(user, 'admin')) return forbiddenResponse(config);
+    for (const value of folderIds) {
+      const folderId = parseFolderId(value);
+      if (folderId === null) continue;
+      if (target !== null && getFolderSubtreeIds(folders, folderId).includes(target)) {
+        throw apiError(400, 'FOLDER_MOVE_INTO_ITSELF');
+      }
+      statements.push(config.database.prepare('UPDATE folders SET parent_id = ? WHERE id = ?').bind(target, folderId));
+    }
+    for (const value of keys) {
+      const key = typeof value === 'string' ? toFileKey(value) : '';
+      if (!key) continue;
+      await assertCanModifyFile(config, user, key);
+      statements.push(config.database.prepare('UPDATE files SET folder_id = ? WHERE file_key = ?').bind(target, key));
+    }
+    if (!statements.length) throw apiError(400, 'NOTHING_TO_MOVE');
+
+    await config.database.batch(statements);
+    return new Response(JSON.stringify({ success: true }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return folderErrorResponse(config, error);
+  }
+}
+
+// Renames the display name of a file; its key and link stay the same
+async function handleRenameFileRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'uploader')) return forbiddenResponse(config);
+  try {
+    const { url, name } = await request.json();
+    const key = typeof url === 'string' ? toFileKey(url) : '';
+    const fileName = typeof name === 'string' ? name.trim() : '';
+    if (!key || !fileName || fileName.length > 255) {
+      return errorResponse(config, apiError(400, 'FILE_NAME_INVALID'));
+    }
+    await assertCanModifyFile(config, user, key);
+    await config.database.prepare('UPDATE files SET file_name = ? WHERE file_key = ?').bind(fileName, key).run();
+    return new Response(JSON.stringify({ success: true }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error);
+  }
+}
+
+// -------- Users --------
+// The signed-in account with its storage usage
+async function handleMeRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return errorResponse(config, apiError(401, 'NOT_LOGGED_IN'));
+  const usage = user.id === null ? null : await getStorageUsage(config, user.id);
+  return new Response(JSON.stringify({
+    username: user.username,
+    role: user.role,
+    quota_bytes: usage ? usage.quota_bytes : null,
+    used_bytes: usage ? usage.used_bytes : 0
+  }), { headers: { "Content-Type": "application/json" } });
+}
+
+async function handleUsersPageRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'admin')) return Response.redirect(`${new URL(request.url).origin}/admin`, 302);
+  return new Response(generateUsersPage(config.locale, user.username), { headers: { "Content-Type": "text/html; charset=UTF-8" } });
+}
+
+// Admin only. GET lists accounts with their usage; POST { username, password, role, quota } creates one.
+// quota is in bytes; null or absent means unlimited.
+async function handleUsersRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'admin')) return forbiddenResponse(config);
+  try {
+    if (request.method === 'POST') {
+      const { username, password, role, quota } = await request.json();
+      const name = typeof username === 'string' ? username.trim() : '';
+      if (!/^[A-Za-z0-9_.@-]{1,64}$/.test(name)) throw apiError(400, 'USERNAME_INVALID');
+      validatePassword(password);
+      const created = await config.database.prepare(
+        `INSERT INTO users (username, password_hash, role, quota_bytes, created_at) VALUES (?, ?, ?, ?, ?)
+         RETURNING id`
+      ).bind(name, await hashPassword(password), validateRole(role), parseQuota(quota), Date.now()).first();
+      return new Response(JSON.stringify({ success: true, id: created.id }), { headers: { "Content-Type": "application/json" } });
+    }
+    const users = (await config.database.prepare(
+      `SELECT u.id, u.username, u.role, u.quota_bytes, u.disabled, u.created_at,
+              COUNT(f.file_key) AS file_count, COALESCE(SUM(f.file_size), 0) AS used_bytes
+       FROM users u LEFT JOIN files f ON f.owner_id = u.id AND f.deleted_at IS NULL
+       GROUP BY u.id ORDER BY u.created_at`
+    ).all()).results || [];
+    return new Response(JSON.stringify({
+      users: users.map(row => ({ ...row, disabled: !!row.disabled, env: row.username === config.username }))
+    }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    if (!error.status && /UNIQUE/i.test(error.message)) return errorResponse(config, apiError(409, 'USERNAME_TAKEN'));
+    return errorResponse(config, error);
+  }
+}
+
+// Admin only. POST { id, role, quota, disabled, password }; omitted fields are left unchanged.
+// Disabling an account or setting its password signs it out everywhere. The USERNAME account and
+// the admin's own account cannot be disabled or demoted, so there is always a way back in.
+async function handleUpdateUserRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'admin')) return forbiddenResponse(config);
+  try {
+    const { id, role, quota, disabled, password } = await request.json();
+    const target = await config.database.prepare('SELECT id, username, role FROM users WHERE id = ?').bind(Number(id)).first();
+    if (!target) throw apiError(404, 'USER_NOT_FOUND');
+    const protectedAccount = target.username === config.username || target.id === user.id;
+    if (protectedAccount && ((role !== undefined && role !== 'admin') || disabled)) {
+      throw apiError(400, 'USER_PROTECTED');
+    }
+
+    const statements = [];
+    if (role !== undefined) statements.push(config.database.prepare('UPDATE users SET role = ? WHERE id = ?').bind(validateRole(role), target.id));
+    if (quota !== undefined) statements.push(config.database.prepare('UPDATE users SET quota_bytes = ? WHERE id = ?').bind(parseQuota(quota), target.id));
+    if (disabled !== undefined) statements.push(config.database.prepare('UPDATE users SET disabled = ? WHERE id = ?').bind(disabled ? 1 : 0, target.id));
+    if (password !== undefined) {
+      validatePassword(password);
+      statements.push(config.database.prepare('UPDATE users SET password_hash = ? WHERE id = ?').bind(await hashPassword(password), target.id));
+    }
+    if (!statements.length) throw apiError(400, 'NOTHING_TO_UPDATE');
+    if (disabled || password !== undefined) {
+      statements.push(config.database.prepare('DELETE FROM sessions WHERE username = ?').bind(target.username));
+    }
+    await config.database.batch(statements);
+    return new Response(JSON.stringify({ success: true }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error);
+  }
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) throw apiError(400, 'ROLE_INVALID');
+  return role;
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < 8) throw apiError(400, 'PASSWORD_TOO_SHORT');
+}
+
+function parseQuota(quota) {
+  if (quota === null || quota === undefined || quota === '') return null;
+  const bytes = Number(quota);
+  if (!Number.isInteger(bytes) || bytes < 0) throw apiError(400, 'QUOTA_INVALID');
+  return bytes;
+}
+
+// -------- API tokens --------
+const TOKEN_SCOPES = ['read', 'upload', 'delete'];
+
+// Resolves a Bearer token for an exact-path route. Returns an error response, or null after putting
+// the token's user on config.tokenUser for getCurrentUser. The user's role still applies on top of the scopes.
+async function applyApiToken(request, config, pathname) {
+  const jsonError = (status, code, params) => errorResponse(config, apiError(status, code, params), status,
+    status === 401 ? { "WWW-Authenticate": 'Bearer realm="api"' } : {});
+  const rule = TOKEN_ROUTE_SCOPES[pathname];
+  const scope = typeof rule === 'object' ? rule[request.method] || rule.GET : rule;
+  if (!scope) return jsonError(403, 'TOKEN_ROUTE_FORBIDDEN');
+
+  const token = request.headers.get('Authorization').replace(/^Bearer\s+/i, '').trim();
+  const row = await config.database.prepare(
+    `SELECT t.id AS token_id, t.scopes, u.id, u.username, u.role, u.quota_bytes, u.disabled
+     FROM api_tokens t JOIN users u ON u.id = t.user_id
+     WHERE t.token_hash = ?`
+  ).bind(await sha256Base64Url(token)).first();
+  if (!row || row.disabled) return jsonError(401, 'TOKEN_INVALID');
+
+  const scopes = row.scopes ? row.scopes.split(',') : [];
+  if (!scopes.includes(scope)) return jsonError(403, 'TOKEN_SCOPE_MISSING', { scope });
+  const touch = config.database.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').bind(Date.now(), row.token_id).run().catch(() => {});
+  if (config.ctx) config.ctx.waitUntil(touch);
+  config.tokenUser = { id: row.id, username: row.username, role: row.role, quota_bytes: row.quota_bytes, tokenId: row.token_id, scopes };
+  return null;
+}
+
+// GET lists the caller's tokens (admins see everyone's); POST { name, scopes } creates one.
+// The plain token is only returned by the POST, together with ready-made ShareX/PicGo configs.
+async function handleTokensRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  try {
+    if (request.method === 'POST') {
+      if (user.id === null) throw apiError(400, 'TOKEN_AUTH_DISABLED');
+      const { name, scopes } = await request.json();
+      const tokenName = typeof name === 'string' ? name.trim() : '';
+      if (!tokenName || tokenName.length > 100) throw apiError(400, 'TOKEN_NAME_INVALID');
+      const scopeList = [...new Set(toList(scopes))];
+      // A token without scopes could not call anything
+      if (!scopeList.length || scopeList.some(scope => !TOKEN_SCOPES.includes(scope))) throw apiError(400, 'TOKEN_SCOPE_INVALID');
+
+      const token = `tgf_${bytesToBase64Url(crypto.getRandomValues(new Uint8Array(24)))}`;
+      const created = await config.database.prepare(
+        `INSERT INTO api_tokens (user_id, name, token_hash, prefix, scopes, created_at) VALUES (?, ?, ?, ?, ?, ?)
+         RETURNING id`
+      ).bind(user.id, tokenName, await sha256Base64Url(token), token.slice(0, 8), scopeList.join(','), Date.now()).first();
+      return new Response(JSON.stringify({
+        success: true,
+        id: created.id,
+        token,
+        sharex: buildUploaderConfig(config, 'sharex', token),
+        picgo: buildUploaderConfig(config, 'picgo', token)
+      }), { headers: { "Content-Type": "application/json" } });
+    }
+
+    const all = hasRole(user, 'admin');
+    const tokens = (await config.database.prepare(
+      `SELECT t.id, t.name, t.prefix, t.scopes, t.created_at, t.last_used_at, u.username
+       FROM api_tokens t JOIN users u ON u.id = t.user_id
+       ${all ? '' : 'WHERE t.user_id IS ?'}
+       ORDER BY t.created_at DESC`
+    ).bind(...(all ? [] : [user.id])).all()).results || [];
+    return new Response(JSON.stringify({
+      tokens: tokens.map(token => ({ ...token, scopes: token.scopes ? token.scopes.split(',') : [] }))
+    }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error);
+  }
+}
+
+async function handleRevokeTokenRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  try {
+    const { id } = await request.json();
+    const result = hasRole(user, 'admin')
+      ? await config.database.prepare('DELETE FROM api_tokens WHERE id = ?').bind(Number(id)).run()
+      : await config.database.prepare('DELETE FROM api_tokens WHERE id = ? AND user_id IS ?').bind(Number(id), user.id).run();
+    if (!result.meta?.changes) return errorResponse(config, apiError(404, 'TOKEN_NOT_FOUND'));
+    return new Response(JSON.stringify({ success: true }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error, 500);
+  }
+}
+
+// GET ?type=sharex|picgo downloads an uploader config for this origin. Tokens are never stored in
+// plain text, so the download has a placeholder; the configs returned on token creation are complete.
+async function handleUploaderConfigRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  const type = new URL(request.url).searchParams.get('type');
+  if (!['sharex', 'picgo'].includes(type)) {
+    return errorResponse(config, apiError(400, 'UPLOADER_CONFIG_INVALID'));
+  }
+  const host = new URL(config.origin).host;
+  const fileName = type === 'sharex' ? `${host}.sxcu` : `picgo-${host}.json`;
+  return new Response(JSON.stringify(buildUploaderConfig(config, type, config.enableAuth ? 'YOUR_API_TOKEN' : null), null, 2), {
+    headers: { "Content-Type": "application/json", "Content-Disposition": `attachment; filename="${fileName}"` }
+  });
+}
+
+// ShareX custom uploader (.sxcu) or PicGo config for picgo-plugin-web-uploader; both read "url" from /upload's JSON
+function buildUploaderConfig(config, type, token) {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  if (type === 'sharex') {
+    return {
+      Version: '15.0.0',
+      Name: `CF-tgfile (${new URL(config.origin).host})`,
+      DestinationType: 'ImageUploader, TextUploader, FileUploader',
+      RequestMethod: 'POST',
+      RequestURL: `${config.origin}/upload`,
+      Headers: headers,
+      Body: 'MultipartFormData',
+      FileFormName: 'file',
+      URL: '{json:url}',
+      ErrorMessage: '{json:error}'
+    };
+  }
+  return {
+    picBed: {
+      uploader: 'web-uploader',
+      current: 'web-uploader',
+      'web-uploader': {
+        url: `${config.origin}/upload`,
+        paramName: 'file',
+        jsonPath: 'url',
+        customHeader: JSON.stringify(headers),
+        customBody: ''
+      }
+    },
+    picgoPlugins: { 'picgo-plugin-web-uploader': true }
+  };
+}
+
+// -------- Search API --------
+// POST JSON, every field optional:
+//   query      substring of the file name
+//   type       MIME family ("image", "video", ...) or a list of them
+//   minSize / maxSize   bytes
+//   from / to  upload time, anything Date.parse accepts or epoch milliseconds
+//   tags       tag or list/comma-separated tags that must all be present
+//   note       substring of the note
+//   folderId   only files directly in this folder (null = root)
+//   check      integrity check result: "ok", "missing", "broken" or "problem" (missing or broken)
+//   trash      true lists the trash instead of live files
+// Uploaders only ever get their own files.
+//   sort       "date" (default), "name" or "size"; order "desc" (default) or "asc"
+//   limit      page size (default 50, max 200); cursor from the previous page's nextCursor
+// Responds with { files, total, nextCursor }.
+async function handleSearchRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  try {
+    const options = await request.json();
+    if (options.trash && !hasRole(user, 'uploader')) return forbiddenResponse(config);
+    const result = await queryFiles(config, { ...options, ownerId: visibleOwnerId(user) });
+    return new Response(JSON.stringify(result), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error);
+  }
+}
+
+const FILE_SORTS = {
+  date: { expr: 'created_at', value: file => file.created_at },
+  name: { expr: "COALESCE(file_name, '') COLLATE NOCASE", value: file => file.file_name || '' },
+  size: { expr: 'COALESCE(file_size, 0)', value: file => file.file_size || 0 }
+};
+
+// Files that are served: not in the trash and not past their expiry (the cron purges those later).
+// Binds the current time.
+const LIVE_FILE_FILTER = 'deleted_at IS NULL AND (expires_at IS NULL OR expires_at > ?)';
+
+// Shared by /search, the bot and the file listing. Keyset pagination on (sort value, file_key)
+// keeps pages stable while files are added. folderId: undefined = all folders, null = root only.
+// ownerId: undefined = every owner.
+async function queryFiles(config, options = {}) {
+  const badRequest = code => apiError(400, code);
+  const where = [options.trash ? 'deleted_at IS NOT NULL' : LIVE_FILE_FILTER];
+  const params = options.trash ? [] : [Date.now()];
+
+  if (options.query) {
+    where.push("file_name LIKE ? ESCAPE '!' COLLATE NOCASE");
+    params.push(`%${escapeLike(String(options.query))}%`);
+  }
+  if (options.type) {
+    const families = toList(options.type).map(type => type.toLowerCase());
+    if (families.some(type => !/^[a-z]+$/.test(type))) throw badRequest('FILTER_TYPE_INVALID');
+    where.push(`(${families.map(() => 'mime_type LIKE ?').join(' OR ')})`);
+    params.push(...families.map(type => `${type}/%`));
+  }
+  for (const [field, op] of [['minSize', '>='], ['maxSize', '<=']]) {
+    if (options[field] === undefined || options[field] === null || options[field] === '') continue;
+    const size = Number(options[field]);
+    if (!Number.isFinite(size) || size < 0) throw badRequest('FILTER_SIZE_INVALID');
+    where.push(`COALESCE(file_size, 0) ${op} ?`);
+    params.push(size);
+  }
+  for (const [field, op] of [['from', '>='], ['to', '<=']]) {
+    if (!options[field]) continue;
+    const time = /^\d+$/.test(String(options[field])) ? Number(options[field]) : Date.parse(options[field]);
+    if (isNaN(time)) throw badRequest('FILTER_DATE_INVALID');
+    where.push(`created_at ${op} ?`);
+    params.push(toStoredTimestamp(time));
+  }
+  for (const tag of parseTags(options.tags)) {
+    where.push("tags LIKE ? ESCAPE '!'");
+    params.push(`%,${escapeLike(tag)},%`);
+  }
+  if (options.note) {
+    where.push("note LIKE ? ESCAPE '!' COLLATE NOCASE");
+    params.push(`%${escapeLike(String(options.note))}%`);
+  }
+  if (options.folderId !== undefined) {
+    where.push('folder_id IS ?');
+    params.push(options.folderId);
+  }
+  if (options.ownerId !== undefined) {
+    where.push('owner_id IS ?');
+    params.push(options.ownerId);
+  }
+  if (options.check) {
+    const statuses = options.check === 'problem' ? ['missing', 'broken'] : [String(options.check)];
+    if (!statuses.every(status => FILE_CHECK_STATUSES.includes(status))) throw badRequest('FILTER_CHECK_INVALID');
+    where.push(`check_status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+
+  const sort = FILE_SORTS[options.sort || 'date'];
+  if (!sort) throw badRequest('SORT_INVALID');
+  const order = (options.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) throw badRequest('ORDER_INVALID');
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 200);
+
+  const filterSql = `WHERE ${where.join(' AND ')}`;
+  const { total } = await config.database.prepare(`SELECT COUNT(*) AS total FROM files ${filterSql}`).bind(...params).first();
+
+  const pageWhere = [...where];
+  const pageParams = [...params];
+  if (options.cursor) {
+    let after;
+    try {
+      after = JSON.parse(new TextDecoder().decode(base64UrlToBytes(options.cursor)));
+    } catch {
+      throw badRequest('CURSOR_INVALID');
+    }
+    if (!Array.isArray(after) || after.length !== 2) throw badRequest('CURSOR_INVALID');
+    const cmp = order === 'asc' ? '>' : '<';
+    pageWhere.push(`(${sort.expr} ${cmp} ? OR (${sort.expr} = ? AND file_key ${cmp} ?))`);
+    pageParams.push(after[0], after[0], after[1]);
+  }
+
+  const rows = (await config.database.prepare(
+    `SELECT file_key, fileId, message_id, created_at, file_name, file_size, mime_type, folder_id, owner_id, tags, note, check_status, check_error, deleted_at, expires_at, thumb_file_id
+     FROM files
+     WHERE ${pageWhere.join(' AND ')}
+     ORDER BY ${sort.expr} ${order}, file_key ${order}
+     LIMIT ${limit + 1}`
+  ).bind(...pageParams).all()).results || [];
+
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextCursor = rows.length > limit
+    ? bytesToBase64Url(new TextEncoder().encode(JSON.stringify([sort.value(last), last.file_key])))
+    : null;
+  return {
+    files: page.map(file => ({ ...withFileUrl(config, file), tags: parseTags(file.tags) })),
+    total,
+    nextCursor
+  };
+}
+
+// GET /api/files?folder=<id|all>&cursor=&limit=&sort=&order= plus the /search filters as query parameters.
+// Without folder only root-level files are listed; trash=1 lists the trash instead.
+async function handleFilesApiRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  try {
+    const params = new URL(request.url).searchParams;
+    const options = {};
+    ['query', 'type', 'minSize', 'maxSize', 'from', 'to', 'note', 'check', 'sort', 'order', 'limit', 'cursor'].forEach(name => {
+      if (params.has(name)) options[name] = params.get(name);
+    });
+    if (params.has('tags')) options.tags = params.getAll('tags');
+    options.trash = ['1', 'true'].includes(params.get('trash'));
+    if (options.trash && !hasRole(user, 'uploader')) return forbiddenResponse(config);
+    const folder = params.get('folder');
+    if (folder !== 'all') options.folderId = parseFolderId(folder);
+    options.ownerId = visibleOwnerId(user);
+    const result = await queryFiles(config, options);
+    return new Response(JSON.stringify(result), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error);
+  }
+}
+
+// Sets tags (list or comma-separated) and/or note of a file; omitted fields are left unchanged
+async function handleFileMetaRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'uploader')) return forbiddenResponse(config);
+  try {
+    const { url, tags, note } = await request.json();
+    const key = typeof url === 'string' ? toFileKey(url) : '';
+    if (!key) return errorResponse(config, apiError(400, 'URL_INVALID'));
+    if (note !== undefined && (typeof note !== 'string' || note.length > 1000)) {
+      return errorResponse(config, apiError(400, 'NOTE_TOO_LONG'));
+    }
+
+    await assertCanModifyFile(config, user, key);
+    const tagList = parseTags(tags);
+    await config.database.prepare(`
+      UPDATE files SET
+        tags = CASE WHEN ? THEN ? ELSE tags END,
+        note = CASE WHEN ? THEN ? ELSE note END
+      WHERE file_key = ?
+    `).bind(
+      tags !== undefined ? 1 : 0, tagList.length ? `,${tagList.join(',')},` : null,
+      note !== undefined ? 1 : 0, note ? note.trim() : null,
+      key
+    ).run();
+    return new Response(JSON.stringify({ success: true, tags: tagList }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error);
+  }
+}
+
+// Accepts a list or a comma-separated string (ASCII or full-width commas); also reads the stored ",a,b," form
+function parseTags(value) {
+  const tags = toList(value).flatMap(tag => tag.split(/[,，]/)).map(tag => tag.trim()).filter(Boolean);
+  return [...new Set(tags)].slice(0, 20).map(tag => tag.slice(0, 50));
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+function escapeLike(value) {
+  return value.replace(/[!%_]/g, c => `!${c}`);
+}
+
+// -------- Hotlink protection & rate limits --------
+// The worker's own host is always allowed. Requests without Referer/Origin (direct visits, most apps)
+// pass unless HOTLINK_BLOCK_EMPTY=true. "*.example.com" matches example.com and its subdomains.
+function isHotlinkAllowed(request, config) {
+  if (!config.hotlinkAllowed.length) return true;
+  const source = request.headers.get('Origin') || request.headers.get('Referer');
+  if (!source) return !config.hotlinkBlockEmpty;
+  let host;
+  try {
+    host = new URL(source).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  if (host === new URL(config.origin).hostname) return true;
+  return config.hotlinkAllowed.some(pattern => pattern.startsWith('*.')
+    ? host === pattern.slice(2) || host.endsWith(pattern.slice(1))
+    : host === pattern);
+}
+
+// Images get a placeholder when HOTLINK_PLACEHOLDER=true so embeds show why they broke
+function hotlinkBlockedResponse(config, key) {
+  const headers = { "Cache-Control": "no-store", "Vary": "Origin, Referer" };
+  if (config.hotlinkPlaceholder && getContentType(key.split('.').pop().toLowerCase()).startsWith('image/')) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="320" height="180" viewBox="0 0 320 180">
+      <rect width="320" height="180" fill="#f5f5f5"/>
+      <text x="160" y="95" font-family="Arial, sans-serif" font-size="20" fill="#999" text-anchor="middle">${translate(config.locale, 'api.hotlinkPlaceholder')}</text>
+    </svg>`;
+    return new Response(svg, { status: 403, headers: { ...headers, "Content-Type": "image/svg+xml" } });
+  }
+  return new Response(translate(config.locale, 'HOTLINK_BLOCKED'), { status: 403, headers: { ...headers, "Content-Type": "text/plain; charset=UTF-8" } });
+}
+
+// Fixed-window counter per IP and bucket in D1. Returns the seconds to wait, or 0 when the request may proceed.
+async function checkRateLimit(config, request, bucket, limit, windowSeconds = config.rateLimitWindow) {
+  if (!limit) return 0;
+  const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+  const now = Date.now();
+  const windowMs = windowSeconds * 1000;
+  const { count, window_start } = await config.database.prepare(`
+    INSERT INTO rate_limits (bucket, ip, window_start, count) VALUES (?, ?, ?, 1)
+    ON CONFLICT(bucket, ip) DO UPDATE SET
+      count = CASE WHEN window_start <= ? THEN 1 ELSE count + 1 END,
+      window_start = CASE WHEN window_start <= ? THEN excluded.window_start ELSE window_start END
+    RETURNING count, window_start
+  `).bind(bucket, ip, now, now - windowMs, now - windowMs).first();
+  // A new window for this IP is a cheap moment to drop rows of IPs that went quiet (past the longest
+  // window in use, so share password buckets keep counting)
+  if (count === 1 && config.ctx) {
+    const longestMs = Math.max(config.rateLimitWindow, config.loginLockMinutes * 60) * 1000;
+    config.ctx.waitUntil(config.database.prepare('DELETE FROM rate_limits WHERE window_start <= ?').bind(now - longestMs).run().catch(() => {}));
+  }
+  return count > limit ? Math.max(1, Math.ceil((window_start + windowMs - now) / 1000)) : 0;
+}
+
+// -------- File fetch & cache --------
+async function handleFileRequest(request, config) {
+  const url = request.url;
+  const cache = caches.default;
+  const cacheKey = new Request(url);
+  let key;
+  try {
+    key = decodeURIComponent(new URL(url).pathname.slice(1));
+  } catch {
+    return new Response(translate(config.locale, 'FILE_NOT_FOUND'), { status: 404, headers: { "Content-Type": "text/plain; charset=UTF-8" } });
+  }
+  try {
+    const retryAfter = await checkRateLimit(config, request, 'file', config.rateLimitFiles);
+    if (retryAfter) {
+      return new Response(translate(config.locale, 'RATE_LIMITED', { seconds: retryAfter }), { status: 429, headers: { "Retry-After": String(retryAfter), "Content-Type": "text/plain; charset=UTF-8" } });
+    }
+    if (!isHotlinkAllowed(request, config)) return hotlinkBlockedResponse(config, key);
+
+    // Looked up even on a cache hit: purgeCachedFile only reaches this data center and this domain,
+    // so copies cached elsewhere must not outlive trash, expiry or deletion
+    const file = await config.database.prepare(
+      `SELECT file_key, fileId, message_id, created_at, file_name, file_size, mime_type, expires_at
+       FROM files WHERE file_key = ? AND deleted_at IS NULL AND (expires_at IS NULL OR expires_at > ?)`
+    ).bind(key, Date.now()).first();
+    if (!file) return new Response(translate(config.locale, 'FILE_NOT_FOUND'), { status: 404, headers: { "Content-Type": "text/plain; charset=UTF-8" } });
+
+    let cached = await cache.match(cacheKey);
+    // Entries cached before validators were added, or for a file since replaced, are refetched
+    if (cached && cached.headers.get('ETag') !== fileETag(file)) cached = null;
+
+    let parts = [];
+    let sources = null;
+    let headers;
+    if (cached) {
+      headers = new Headers(cached.headers);
+    } else {
+      parts = (await config.database.prepare(
+        'SELECT file_key, part_index, fileId, part_size FROM file_parts WHERE file_key = ? ORDER BY part_index'
+      ).bind(key).all()).results || [];
+      sources = await loadFileSources(config, [file], parts);
+      parts = parts.map(part => ({ ...part, fileIds: sources.get(`${key}/${part.part_index}`) }));
+
+      const contentType = file.mime_type || getContentType(key.split('.').pop().toLowerCase());
+      headers = new Headers({
+        'Content-Type': contentType,
+        // Files with a time-to-live must not outlive it in caches
+        'Cache-Control': `public, max-age=${file.expires_at ? Math.max(Math.floor((file.expires_at - Date.now()) / 1000), 0) : 31536000}`,
+        'X-Content-Type-Options': 'nosniff',
+        'Access-Control-Allow-Origin': '*',
+        'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(file.file_name || '')}`,
+        'Accept-Ranges': 'bytes',
+        'ETag': fileETag(file),
+        'Last-Modified': parseCreatedAt(file.created_at).toUTCString()
+      });
+      if (file.file_size) headers.set('Content-Length', String(file.file_size));
+    }
+
+    if (isNotModified(request, headers)) {
+      const notModifiedHeaders = new Headers();
+      ['ETag', 'Last-Modified', 'Cache-Control'].forEach(name => headers.has(name) && notModifiedHeaders.set(name, headers.get(name)));
+      return new Response(null, { status: 304, headers: notModifiedHeaders });
+    }
+
+    const size = Number(headers.get('Content-Length')) || 0;
+    const range = parseRangeHeader(request, headers, size);
+    if (range === false) {
+      return new Response(translate(config.locale, 'RANGE_INVALID'), { status: 416, headers: { 'Content-Range': `bytes */${size}`, "Content-Type": "text/plain; charset=UTF-8" } });
+    }
+    const status = range ? 206 : 200;
+    const responseHeaders = new Headers(headers);
+    if (config.hotlinkAllowed.length) {
+      // Only allowed origins get here, so echo the origin instead of the cached "*"
+      const origin = request.headers.get('Origin');
+      if (origin) responseHeaders.set('Access-Control-Allow-Origin', origin);
+      else responseHeaders.delete('Access-Control-Allow-Origin');
+      responseHeaders.append('Vary', 'Origin');
+    }
+    if (range) {
+      responseHeaders.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+      responseHeaders.set('Content-Length', String(range.end - range.start + 1));
+    }
+    if (request.method === 'HEAD') return new Response(null, { status, headers: responseHeaders });
+    recordDownload(config, request, key, { bytes: Number(responseHeaders.get('Content-Length')) || 0, cacheHit: !!cached });
+
+    let body;
+    if (cached) {
+      body = cached.body;
+    } else if (parts.length) {
+      // Reassembled files can be far larger than the cache entry limit; only single messages are cached
+      const { start, end } = range || { start: 0, end: size - 1 };
+      return new Response(withFixedLength(streamFileParts(config, parts, start, end), end - start + 1), { status, headers: responseHeaders });
+    } else {
+      const response = new Response((await fetchStoredFile(config, sources.get(`${key}/0`))).body, { headers });
+      await cache.put(cacheKey, response.clone());
+      body = response.body;
+    }
+    if (!range) return new Response(body, { status, headers: responseHeaders });
+    return new Response(withFixedLength(sliceStream(body, range.start, range.end), range.end - range.start + 1), { status, headers: responseHeaders });
+  } catch (error) {
+    if (error.status) return new Response(localizeError(config, error), { status: error.status, headers: { "Content-Type": "text/plain; charset=UTF-8" } });
+    return new Response(translate(config.locale, 'INTERNAL_ERROR'), { status: 500, headers: { "Content-Type": "text/plain; charset=UTF-8" } });
+  }
+}
+
+function fileETag(file) {
+  return `"${file.message_id}-${file.file_size || 0}"`;
+}
+
+function isNotModified(request, headers) {
+  if (!['GET', 'HEAD'].includes(request.method)) return false;
+  const etag = headers.get('ETag');
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch) {
+    return ifNoneMatch.trim() === '*' || (!!etag && ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag));
+  }
+  const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since') || '');
+  const lastModified = Date.parse(headers.get('Last-Modified') || '');
+  return !isNaN(ifModifiedSince) && !isNaN(lastModified) && lastModified <= ifModifiedSince;
+}
+
+// Returns null to serve the whole file, { start, end } for a single satisfiable range,
+// or false when the range must be answered with 416 (multiple ranges are not supported)
+function parseRangeHeader(request, headers, size) {
+  const rangeHeader = request.headers.get('Range');
+  if (!rangeHeader || !size || !rangeHeader.trim().startsWith('bytes=')) return null;
+  const ifRange = request.headers.get('If-Range');
+  if (ifRange && ifRange !== headers.get('ETag') && ifRange !== headers.get('Last-Modified')) return null;
+
+  const match = rangeHeader.trim().match(/^bytes=\s*(\d*)\s*-\s*(\d*)\s*$/);
+  if (!match || (!match[1] && !match[2])) return false;
+  let start, end;
+  if (!match[1]) {
+    start = Math.max(size - Number(match[2]), 0);
+    end = Number(match[2]) ? size - 1 : -1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  if (start > end || start >= size) return false;
+  return { start, end };
+}
+
+// Passes through bytes start..end (inclusive) of a stream and cancels the source once past the end
+function sliceStream(stream, start, end) {
+  const reader = stream.getReader();
+  let offset = 0;
+  return new ReadableStream({
+    async pull(controller) {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) { controller.close(); return; }
+        const chunkStart = offset;
+        offset += value.byteLength;
+        if (offset <= start) continue;
+        controller.enqueue(value.subarray(Math.max(start - chunkStart, 0), Math.min(end + 1 - chunkStart, value.byteLength)));
+        if (offset > end) {
+          controller.close();
+          reader.cancel().catch(() => {});
+        }
+        return;
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+}
+
+// Lets Workers send a Content-Length for streamed bodies instead of falling back to chunked encoding
+function withFixedLength(stream, length) {
+  if (typeof FixedLengthStream !== 'function') return stream;
+  const fixed = new FixedLengthStream(length);
+  stream.pipeTo(fixed.writable).catch(() => {});
+  return fixed.readable;
+}
+
+// -------- Download statistics --------
+// Written through waitUntil after the response has started, so counting never delays a download.
+// Statistics are best-effort: a failed write is dropped rather than turned into a failed request.
+function recordDownload(config, request, key, { bytes, cacheHit }) {
+  const now = Date.now();
+  const day = toStoredTimestamp(now).slice(0, 10);
+  const referrer = getReferrerHost(request);
+  const write = config.database.batch([
+    config.database.prepare(`
+      INSERT INTO file_stats_daily (file_key, day, downloads, cache_hits, bytes) VALUES (?, ?, 1, ?, ?)
+      ON CONFLICT(file_key, day) DO UPDATE SET
+        downloads = downloads + 1,
+        cache_hits = cache_hits + excluded.cache_hits,
+        bytes = bytes + excluded.bytes
+    `).bind(key, day, cacheHit ? 1 : 0, bytes),
+    config.database.prepare(`
+      INSERT INTO file_referrers_daily (file_key, day, referrer, downloads) VALUES (?, ?, ?, 1)
+      ON CONFLICT(file_key, day, referrer) DO UPDATE SET downloads = downloads + 1
+    `).bind(key, day, referrer),
+    config.database.prepare('UPDATE files SET last_accessed_at = ? WHERE file_key = ?').bind(now, key)
+  ]).catch(() => {});
+  if (config.ctx) config.ctx.waitUntil(write);
+}
+
+// Host of the Referer header; '' for direct requests and unparsable values
+function getReferrerHost(request) {
+  try {
+    return new URL(request.headers.get('Referer') || '').host;
+  } catch {
+    return '';
+  }
+}
+
+// GET /api/stats?days=30&limit=20 → daily totals, most-downloaded files and top referrers.
+// With &url=<file> the same figures are limited to that file.
+async function handleStatsRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  try {
+    const params = new URL(request.url).searchParams;
+    const days = Math.min(Math.max(parseInt(params.get('days'), 10) || 30, 1), 366);
+    const limit = Math.min(Math.max(parseInt(params.get('limit'), 10) || 20, 1), 200);
+    const key = params.get('url') ? toFileKey(params.get('url')) : null;
+    const since = toStoredTimestamp(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).slice(0, 10);
+
+    // Uploaders only see figures for their own files
+    let filter = 's.day >= ?';
+    const filterParams = [since];
+    if (key !== null) {
+      filter += ' AND s.file_key = ?';
+      filterParams.push(key);
+    }
+    if (visibleOwnerId(user) !== undefined) {
+      filter += ' AND s.file_key IN (SELECT file_key FROM files WHERE owner_id IS ?)';
+      filterParams.push(visibleOwnerId(user));
+    }
+    const [daily, top, referrers] = await config.database.batch([
+      config.database.prepare(`
+        SELECT s.day, SUM(s.downloads) AS downloads, SUM(s.cache_hits) AS cache_hits, SUM(s.bytes) AS bytes
+        FROM file_stats_daily s WHERE ${filter}
+        GROUP BY s.day ORDER BY s.day
+      `).bind(...filterParams),
+      config.database.prepare(`
+        SELECT s.file_key, f.file_name, f.last_accessed_at, SUM(s.downloads) AS downloads, SUM(s.cache_hits) AS cache_hits, SUM(s.bytes) AS bytes
+        FROM file_stats_daily s JOIN files f ON f.file_key = s.file_key
+        WHERE ${filter}
+        GROUP BY s.file_key ORDER BY downloads DESC, bytes DESC LIMIT ${limit}
+      `).bind(...filterParams),
+      config.database.prepare(`
+        SELECT s.referrer, SUM(s.downloads) AS downloads
+        FROM file_referrers_daily s WHERE ${filter}
+        GROUP BY s.referrer ORDER BY downloads DESC LIMIT ${limit}
+      `).bind(...filterParams)
+    ]);
+
+    const dailyRows = daily.results || [];
+    const totals = dailyRows.reduce((sum, row) => ({
+      downloads: sum.downloads + row.downloads,
+      cache_hits: sum.cache_hits + row.cache_hits,
+      bytes: sum.bytes + row.bytes
+    }), { downloads: 0, cache_hits: 0, bytes: 0 });
+    return new Response(JSON.stringify({
+      since,
+      totals,
+      daily: dailyRows,
+      files: (top.results || []).map(file => withFileUrl(config, file)),
+      referrers: referrers.results || []
+    }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error, 500);
+  }
+}
+
+// -------- Delete --------
+// Bulk requests (delete, ZIP) take at most this many files; D1 binds at most 100 parameters per query
+const BATCH_MAX_FILES = 100;
+
+// { url } deletes one file; { urls: [...] } deletes several and reports the outcome per file.
+// Files go to the trash unless permanent is set, which also works on files already in the trash.
+async function handleDeleteRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'uploader')) return forbiddenResponse(config);
+  try {
+    const { url, urls, permanent = false } = await request.json();
+    if (Array.isArray(urls)) {
+      if (!urls.length) throw apiError(400, 'NO_FILES_SELECTED');
+      if (urls.length > BATCH_MAX_FILES) throw apiError(400, 'TOO_MANY_FILES', { max: BATCH_MAX_FILES });
+      const results = [];
+      for (const value of urls) {
+        const { status, ...result } = await deleteUserFile(config, user, value, { permanent });
+        results.push({ url: value, ...result });
+      }
+      const deleted = results.filter(result => result.success).length;
+      return new Response(JSON.stringify({ success: deleted === results.length, deleted, failed: results.length - deleted, results }), { headers: { "Content-Type": "application/json" } });
+    }
+
+    const { status, success, message, ...failure } = await deleteUserFile(config, user, url, { permanent });
+    if (!success) return new Response(JSON.stringify(failure), { status, headers: { "Content-Type": "application/json" } });
+    return new Response(JSON.stringify({ success, message }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error);
+  }
+}
+
+// Trashes (or with permanent, deletes) one file (key or link) if the user may;
+// resolves to { success, message } or { success: false, status, error, code }
+async function deleteUserFile(config, user, url, { permanent = false } = {}) {
+  try {
+    const key = typeof url === 'string' ? toFileKey(url) : '';
+    if (!key) return { success: false, status: 400, ...errorBody(config, apiError(400, 'URL_INVALID')) };
+    await assertCanModifyFile(config, user, key, { allowTrashed: permanent });
+    if (!permanent) {
+      await trashFileRecord(config, key);
+      return { success: true, message: translate(config.locale, 'api.fileTrashed', { days: config.trashRetentionDays }) };
+    }
+    const result = await deleteFileRecord(config, key);
+    if (!result) return { success: false, status: 404, ...errorBody(config, apiError(404, 'FILE_NOT_FOUND')) };
+    const { deleteError } = result;
+    return { success: true, message: deleteError ? translate(config.locale, 'api.fileDeletedTelegramFailed', { error: deleteError }) : translate(config.locale, 'api.fileDeleted') };
+  } catch (error) {
+    const removed = error.message.includes('message to delete not found');
+    return { success: false, status: error.status || 500, ...errorBody(config, removed ? apiError(error.status || 500, 'FILE_REMOVED_FROM_CHANNEL') : error) };
+  }
+}
+
+// Deletes the Telegram message(s) of a file in every storage chat and its rows; returns null when the
+// key is unknown. Telegram failures do not stop the database cleanup and are reported as deleteError.
+// calls is the number of deleteMessage requests; when that would exceed maxCalls nothing is deleted
+// and the result has skipped: true.
+async function deleteFileRecord(config, key, maxCalls = Infinity) {
+  const messages = await loadFileMessages(config, key);
+  if (!messages) return null;
+  // Aliases (deduplicated uploads, imports under another key) share Telegram messages; only the last
+  // row pointing at a message removes it
+  const shared = await findSharedMessages(config, messages, key);
+  const owned = messages.filter(message => !shared.has(`${message.chatId}:${message.messageId}`));
+  if (owned.length > maxCalls) return { deleteError: null, calls: owned.length, skipped: true };
+
+  let deleteError = null;
+  for (const { chatId, messageId } of owned) {
+    try {
+      await deleteTelegramMessage(config, chatId, messageId);
+    } catch (e) { deleteError = localizeError(config, e); }
+  }
+
+  await config.database.batch([
+    config.database.prepare('DELETE FROM file_parts WHERE file_key = ?').bind(key),
+    config.database.prepare('DELETE FROM file_copies WHERE file_key = ?').bind(key),
+    config.database.prepare('DELETE FROM share_links WHERE file_key = ?').bind(key),
+    config.database.prepare('DELETE FROM file_stats_daily WHERE file_key = ?').bind(key),
+    config.database.prepare('DELETE FROM file_referrers_daily WHERE file_key = ?').bind(key),
+    config.database.prepare('DELETE FROM files WHERE file_key = ?').bind(key)
+  ]);
+  await purgeCachedFile(config, key);
+  return { deleteError, calls: owned.length };
+}
+
+// Every Telegram message of a file as [{ chatId, messageId }]: the message or parts and the mirrored
+// copies. null when the key is unknown.
+async function loadFileMessages(config, key) {
+  const file = await config.database.prepare('SELECT message_id, chat_id FROM files WHERE file_key = ?').bind(key).first();
+  if (!file) return null;
+  const [parts, copies] = await Promise.all([
+    config.database.prepare('SELECT message_id FROM file_parts WHERE file_key = ? ORDER BY part_index').bind(key).all(),
+    config.database.prepare('SELECT chat_id, message_id FROM file_copies WHERE file_key = ?').bind(key).all()
+  ]);
+  const chatId = file.chat_id ?? config.tgChatId;
+  const partRows = parts.results || [];
+  return [
+    ...(partRows.length ? partRows.map(part => part.message_id) : [file.message_id]).map(messageId => ({ chatId, messageId })),
+    ...(copies.results || []).map(copy => ({ chatId: copy.chat_id, messageId: copy.message_id }))
+  ];
+}
+
+// Message IDs per query when looking for shared messages; each one is bound three times
+const SHARED_CHECK_IDS = 30;
+
+// Which of the messages a file row other than exceptKey still points at, as a set of "chat:message"
+async function findSharedMessages(config, messages, exceptKey = '') {
+  const shared = new Set();
+  const ids = [...new Set(messages.map(message => message.messageId))];
+  for (let i = 0; i < ids.length; i += SHARED_CHECK_IDS) {
+    const chunk = ids.slice(i, i + SHARED_CHECK_IDS);
+    const placeholders = chunk.map(() => '?').join(', ');
+    const rows = (await config.database.prepare(`
+      SELECT COALESCE(chat_id, ?) AS chat_id, message_id FROM files WHERE file_key != ? AND message_id IN (${placeholders})
+      UNION SELECT COALESCE(f.chat_id, ?), p.message_id FROM file_parts p JOIN files f ON f.file_key = p.file_key
+        WHERE p.file_key != ? AND p.message_id IN (${placeholders})
+      UNION SELECT chat_id, message_id FROM file_copies WHERE file_key != ? AND message_id IN (${placeholders})
+    `).bind(config.tgChatId, exceptKey, ...chunk, config.tgChatId, exceptKey, ...chunk, exceptKey, ...chunk).all()).results || [];
+    rows.forEach(row => shared.add(`${row.chat_id}:${row.message_id}`));
+  }
+  return shared;
+}
+
+// Soft delete: the file stops being served and listed but keeps its row and Telegram message until
+// it is restored or purged
+async function trashFileRecord(config, key) {
+  await config.database.prepare('UPDATE files SET deleted_at = ? WHERE file_key = ? AND deleted_at IS NULL').bind(Date.now(), key).run();
+  await purgeCachedFile(config, key);
+}
+
+// Drops the edge cache entry of a file (this data center and domain only; entries elsewhere are no
+// longer served because file and thumbnail requests check D1 first). Cron runs have no origin and skip this.
+async function purgeCachedFile(config, key) {
+  if (!config.origin) return;
+  await Promise.all([buildFileUrl(config, key), `${config.origin}/thumb/${encodeFileKey(key)}`]
+    .map(url => caches.default.delete(new Request(url)).catch(() => {})));
+}
+
+// -------- Trash --------
+// POST { urls } puts trashed files back where they were (the root folder if theirs was deleted)
+async function handleRestoreRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'uploader')) return forbiddenResponse(config);
+  try {
+    const { urls } = await request.json();
+    const list = toList(urls);
+    if (!list.length) throw apiError(400, 'NO_FILES_SELECTED');
+    if (list.length > BATCH_MAX_FILES) throw apiError(400, 'TOO_MANY_FILES', { max: BATCH_MAX_FILES });
+    const results = [];
+    for (const value of list) {
+      try {
+        const key = toFileKey(value);
+        await assertCanModifyFile(config, user, key, { allowTrashed: true });
+        const trashed = await config.database.prepare(
+          'SELECT owner_id, file_size FROM files WHERE file_key = ? AND deleted_at IS NOT NULL'
+        ).bind(key).first();
+        if (!trashed) throw apiError(409, 'NOT_IN_TRASH');
+        // The file counts against its owner's quota again
+        await assertQuota(config, { id: trashed.owner_id }, trashed.file_size || 0);
+        const restored = await config.database.prepare(`
+          UPDATE files SET deleted_at = NULL WHERE file_key = ? AND deleted_at IS NOT NULL
+        `).bind(key).run();
+        if (!restored.meta?.changes) throw apiError(409, 'NOT_IN_TRASH');
+        results.push({ url: value, success: true });
+      } catch (error) {
+        results.push({ url: value, success: false, ...errorBody(config, error) });
+      }
+    }
+    const restoredCount = results.filter(result => result.success).length;
+    return new Response(JSON.stringify({ success: restoredCount === results.length, restored: restoredCount, failed: results.length - restoredCount, results }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error);
+  }
+}
+
+// POST deletes up to BATCH_MAX_FILES trashed files (an uploader's own only) for good and reports how
+// many are left, so clients repeat until remaining is 0
+async function handleEmptyTrashRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'uploader')) return forbiddenResponse(config);
+  try {
+    const ownerId = visibleOwnerId(user);
+    const ownerFilter = ownerId === undefined ? '' : ' AND owner_id IS ?';
+    const ownerParams = ownerId === undefined ? [] : [ownerId];
+    const files = (await config.database.prepare(
+      `SELECT file_key FROM files WHERE deleted_at IS NOT NULL${ownerFilter} ORDER BY deleted_at LIMIT ?`
+    ).bind(...ownerParams, BATCH_MAX_FILES).all()).results || [];
+    const errors = [];
+    for (const file of files) {
+      const result = await deleteFileRecord(config, file.file_key);
+      if (result?.deleteError) errors.push(result.deleteError);
+    }
+    const { remaining } = await config.database.prepare(
+      `SELECT COUNT(*) AS remaining FROM files WHERE deleted_at IS NOT NULL${ownerFilter}`
+    ).bind(...ownerParams).first();
+    return new Response(JSON.stringify({ success: true, deleted: files.length, remaining, errors }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error);
+  }
+}
+
+// Cron: deletes files whose time-to-live has passed and trash older than the retention period.
+// Each run makes at most CLEANUP_BATCH_CALLS deleteMessage requests to stay below the Workers
+// subrequest limit (a chunked or mirrored file needs one per part and copy); files that no longer fit
+// are picked up by the next run. A file needing more than a whole run on its own is skipped and stays
+// hidden, so it does not stall the files after it.
+const CLEANUP_BATCH_CALLS = 40;
+
+async function runScheduledCleanup(config) {
+  const now = Date.now();
+  // Files sharing all their messages cost no call, so a run can get through more files than calls
+  const files = (await config.database.prepare(`
+    SELECT file_key FROM files
+    WHERE (expires_at IS NOT NULL AND expires_at <= ?) OR (deleted_at IS NOT NULL AND deleted_at <= ?)
+    ORDER BY COALESCE(deleted_at, expires_at) LIMIT ?
+  `).bind(now, now - config.trashRetentionDays * 24 * 60 * 60 * 1000, CLEANUP_BATCH_CALLS * 2).all()).results || [];
+  let calls = CLEANUP_BATCH_CALLS;
+  for (const file of files) {
+    let result;
+    try {
+      result = await deleteFileRecord(config, file.file_key, calls);
+    } catch {
+      // The row stays for the next run; Telegram errors do not keep it (see deleteFileRecord). How many
+      // calls were made is unknown, so the run ends here.
+      return;
+    }
+    if (result?.skipped) {
+      if (result.calls > CLEANUP_BATCH_CALLS) continue;
+      return;
+    }
+    calls -= result?.calls || 0;
+  }
+}
+
+// -------- Bulk download (ZIP) --------
+// POST { urls: [...] } (JSON) or a form with one "urls" field per file. The archive is streamed: each
+// file is fetched from Telegram only when the previous one has been written, and nothing is compressed
+// since most stored files (images, video, archives) are compressed already. Files the user cannot see
+// are skipped.
+async function handleZipRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  try {
+    if (request.method !== 'POST') throw apiError(405, 'POST_REQUIRED');
+    const isJson = (request.headers.get('Content-Type') || '').includes('application/json');
+    const urls = isJson ? toList((await request.json()).urls) : (await request.formData()).getAll('urls').map(String);
+    const keys = [...new Set(urls.map(toFileKey).filter(Boolean))];
+    if (!keys.length) throw apiError(400, 'NO_FILES_SELECTED');
+    if (keys.length > BATCH_MAX_FILES) throw apiError(400, 'TOO_MANY_FILES', { max: BATCH_MAX_FILES });
+
+    const placeholders = keys.map(() => '?').join(', ');
+    const files = ((await config.database.prepare(
+      `SELECT file_key, fileId, file_name, file_size, created_at, owner_id FROM files WHERE file_key IN (${placeholders}) AND ${LIVE_FILE_FILTER}`
+    ).bind(...keys, Date.now()).all()).results || []).filter(file => visibleOwnerId(user) === undefined || file.owner_id === user.id);
+    if (!files.length) throw apiError(404, 'FILE_NOT_FOUND');
+    // Without ZIP64 every offset must fit in 32 bits
+    const totalSize = files.reduce((sum, file) => sum + (file.file_size || 0), 0);
+    if (totalSize >= 0xFFFFFFFF - files.length * 1024) throw apiError(413, 'ZIP_TOO_LARGE');
+
+    const parts = (await config.database.prepare(
+      `SELECT file_key, part_index, fileId, part_size FROM file_parts WHERE file_key IN (${placeholders}) ORDER BY file_key, part_index`
+    ).bind(...keys).all()).results || [];
+    const sources = await loadFileSources(config, files, parts);
+    const usedNames = new Set();
+    const entries = keys.map(key => files.find(file => file.file_key === key)).filter(Boolean).map(file => {
+      const fileParts = parts.filter(part => part.file_key === file.file_key)
+        .map(part => ({ ...part, fileIds: sources.get(`${part.file_key}/${part.part_index}`) }));
+      return {
+        name: uniqueZipName(usedNames, file.file_name || file.file_key),
+        date: parseCreatedAt(file.created_at),
+        open: async () => {
+          recordDownload(config, request, file.file_key, { bytes: file.file_size || 0, cacheHit: false });
+          if (!fileParts.length) return (await fetchStoredFile(config, sources.get(`${file.file_key}/0`))).body;
+          const size = fileParts.reduce((sum, part) => sum + part.part_size, 0);
+          return streamFileParts(config, fileParts, 0, size - 1);
+        }
+      };
+    });
+
+    const archiveName = `files-${toStoredTimestamp(Date.now()).slice(0, 10)}.zip`;
+    return new Response(zipStream(entries), {
+      headers: {
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${archiveName}"`,
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    return errorResponse(config, error);
+  }
+}
+
+// Names must be unique inside the archive: "a.png", "a (2).png", ...
+function uniqueZipName(usedNames, fileName) {
+  const safeName = fileName.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_');
+  const dot = safeName.lastIndexOf('.');
+  const [base, ext] = dot > 0 ? [safeName.slice(0, dot), safeName.slice(dot)] : [safeName, ''];
+  let name = safeName;
+  for (let n = 2; usedNames.has(name.toLowerCase()); n++) name = `${base} (${n})${ext}`;
+  usedNames.add(name.toLowerCase());
+  return name;
+}
+
+// Stored (uncompressed) ZIP entries with UTF-8 names; CRC and sizes follow each entry in a data
+// descriptor because they are only known once the data has been streamed.
+function zipStream(entries) {
+  const chunks = zipChunks(entries);
+  return new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await chunks.next();
+      if (done) controller.close();
+      else controller.enqueue(value);
+    },
+    cancel() {
+      return chunks.return();
+    }
+  });
+}
+
+async function* zipChunks(entries) {
+  const FLAGS = 0x0808; // bit 3: data descriptor follows, bit 11: UTF-8 names
+  const central = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const name = new TextEncoder().encode(entry.name);
+    const { time, date } = toDosDateTime(entry.date);
+    const header = new Uint8Array(30 + name.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, 20, true);
+    view.setUint16(6, FLAGS, true);
+    view.setUint16(10, time, true);
+    view.setUint16(12, date, true);
+    view.setUint16(26, name.length, true);
+    header.set(name, 30);
+    yield header;
+
+    let crc = 0xFFFFFFFF;
+    let size = 0;
+    const reader = (await entry.open()).getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        crc = crc32Update(crc, value);
+        size += value.byteLength;
+        yield value;
+      }
+    } finally {
+      // Also stops the Telegram download when the client goes away mid-entry
+      reader.cancel().catch(() => {});
+    }
+    crc = (crc ^ 0xFFFFFFFF) >>> 0;
+
+    const descriptor = new DataView(new ArrayBuffer(16));
+    descriptor.setUint32(0, 0x08074b50, true);
+    descriptor.setUint32(4, crc, true);
+    descriptor.setUint32(8, size, true);
+    descriptor.setUint32(12, size, true);
+    yield new Uint8Array(descriptor.buffer);
+
+    central.push({ name, time, date, crc, size, offset });
+    offset += header.length + size + 16;
+  }
+
+  let centralSize = 0;
+  for (const entry of central) {
+    const record = new Uint8Array(46 + entry.name.length);
+    const view = new DataView(record.buffer);
+    view.setUint32(0, 0x02014b50, true);
+    view.setUint16(4, 20, true);
+    view.setUint16(6, 20, true);
+    view.setUint16(8, FLAGS, true);
+    view.setUint16(12, entry.time, true);
+    view.setUint16(14, entry.date, true);
+    view.setUint32(16, entry.crc, true);
+    view.setUint32(20, entry.size, true);
+    view.setUint32(24, entry.size, true);
+    view.setUint16(28, entry.name.length, true);
+    view.setUint32(42, entry.offset, true);
+    record.set(entry.name, 46);
+    centralSize += record.length;
+    yield record;
+  }
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, central.length, true);
+  end.setUint16(10, central.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  yield new Uint8Array(end.buffer);
+}
+
+// MS-DOS date/time fields hold local wall time; files are stamped in UTC+8 like created_at
+function toDosDateTime(value) {
+  const d = new Date(value.getTime() + 8 * 60 * 60 * 1000);
+  return {
+    time: (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | (d.getUTCSeconds() >> 1),
+    date: (Math.max(d.getUTCFullYear() - 1980, 0) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate()
+  };
+}
+
+let crc32Table = null;
+function crc32Update(crc, bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crc32Table[n] = c >>> 0;
+    }
+  }
+  for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return crc >>> 0;
+}
+
+// -------- Index backup (export / import) --------
+// Columns of an exported index row. folder is the folder path, owner the username, parts the
+// messages of a chunked file and copies the mirrored messages; folder and owner are resolved again on
+// import, so a backup can be restored into another worker that uses the same bot and storage chats.
+// chat_id is empty for files in TG_CHAT_ID from before there could be several storage chats.
+const INDEX_FIELDS = ['file_key', 'fileId', 'message_id', 'chat_id', 'created_at', 'file_name', 'file_size', 'mime_type', 'folder', 'owner', 'tags', 'note', 'content_hash', 'expires_at', 'thumb_file_id', 'compressed', 'parts', 'copies'];
+const IMPORT_CONFLICT_MODES = ['skip', 'overwrite', 'rename'];
+const IMPORT_BATCH_FILES = 25;
+
+// GET ?format=json|csv downloads the whole index except the trash and expired files
+async function handleExportRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'admin')) return forbiddenResponse(config);
+  try {
+    const format = new URL(request.url).searchParams.get('format') || 'json';
+    if (!['json', 'csv'].includes(format)) throw apiError(400, 'EXPORT_FORMAT_INVALID');
+
+    const [files, parts, copies, folders, users] = await Promise.all([
+      config.database.prepare(
+        `SELECT file_key, fileId, message_id, chat_id, created_at, file_name, file_size, mime_type, folder_id, owner_id, tags, note, content_hash, expires_at, thumb_file_id, compressed FROM files WHERE ${LIVE_FILE_FILTER} ORDER BY file_key`
+      ).bind(Date.now()).all(),
+      config.database.prepare('SELECT file_key, fileId, message_id, part_size FROM file_parts ORDER BY file_key, part_index').all(),
+      config.database.prepare('SELECT file_key, part_index, chat_id, fileId, message_id FROM file_copies ORDER BY file_key, chat_id, part_index').all(),
+      loadFolders(config),
+      config.database.prepare('SELECT id, username FROM users').all()
+    ]);
+    const partsByKey = new Map();
+    for (const part of parts.results || []) {
+      if (!partsByKey.has(part.file_key)) partsByKey.set(part.file_key, []);
+      partsByKey.get(part.file_key).push({ fileId: part.fileId, message_id: part.message_id, size: part.part_size });
+    }
+    const copiesByKey = new Map();
+    for (const copy of copies.results || []) {
+      if (!copiesByKey.has(copy.file_key)) copiesByKey.set(copy.file_key, []);
+      copiesByKey.get(copy.file_key).push({ part_index: copy.part_index, chat_id: copy.chat_id, fileId: copy.fileId, message_id: copy.message_id });
+    }
+    const usernames = new Map((users.results || []).map(row => [row.id, row.username]));
+    const rows = (files.results || []).map(file => ({
+      file_key: file.file_key,
+      fileId: file.fileId,
+      message_id: file.message_id,
+      chat_id: file.chat_id || '',
+      created_at: file.created_at,
+      file_name: file.file_name,
+      file_size: file.file_size,
+      mime_type: file.mime_type,
+      folder: getFolderPathName(folders, file.folder_id),
+      owner: usernames.get(file.owner_id) || '',
+      tags: parseTags(file.tags),
+      note: file.note || '',
+      content_hash: file.content_hash || '',
+      expires_at: file.expires_at,
+      thumb_file_id: file.thumb_file_id || '',
+      compressed: file.compressed,
+      parts: partsByKey.get(file.file_key) || [],
+      copies: copiesByKey.get(file.file_key) || []
+    }));
+
+    const fileName = `tgfile-index-${toStoredTimestamp(Date.now()).slice(0, 10)}.${format}`;
+    if (format === 'csv') {
+      const lines = rows.map(row => INDEX_FIELDS.map(field => {
+        if (field === 'tags') return row.tags.join(',');
+        if (field === 'parts' || field === 'copies') return row[field].length ? JSON.stringify(row[field]) : '';
+        return row[field];
+      }));
+      // The BOM makes Excel read the file as UTF-8
+      const csv = '\uFEFF' + [INDEX_FIELDS, ...lines].map(line => line.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+      return new Response(csv, { headers: { "Content-Type": "text/csv; charset=UTF-8", "Content-Disposition": `attachment; filename="${fileName}"` } });
+    }
+    return new Response(JSON.stringify({ version: 1, exported_at: Date.now(), files: rows }), {
+      headers: { "Content-Type": "application/json", "Content-Disposition": `attachment; filename="${fileName}"` }
+    });
+  } catch (error) {
+    return errorResponse(config, error);
+  }
+}
+
+// POST a JSON export ({ files: [...] } or a bare array) or a CSV export as the body. ?conflict= decides
+// what happens to keys that already exist: "skip" (default), "overwrite" (the new mapping replaces the
+// row) or "rename" (imported as "<name>-2.<ext>", ...). Invalid rows are reported and do not stop the
+// others. Messages of replaced rows that no row points at anymore are not deleted (another worker
+// restored from the same backup may use them) but listed in orphaned as { chat_id, message_id }.
+async function handleImportRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'admin')) return forbiddenResponse(config);
+  try {
+    const conflict = new URL(request.url).searchParams.get('conflict') || 'skip';
+    if (!IMPORT_CONFLICT_MODES.includes(conflict)) throw apiError(400, 'IMPORT_CONFLICT_INVALID');
+    if (conflict === 'overwrite' && user.scopes && !user.scopes.includes('delete')) throw apiError(403, 'TOKEN_SCOPE_MISSING', { scope: 'delete' });
+    const records = parseIndexBackup(await request.text());
+    if (!records.length) throw apiError(400, 'IMPORT_EMPTY');
+
+    const folders = await loadFolders(config);
+    const users = (await config.database.prepare('SELECT id, username FROM users').all()).results || [];
+    const userIds = new Map(users.map(row => [row.username, row.id]));
+    const taken = new Set();
+    const keys = [...new Set(records.map(record => String(record?.file_key ?? '')))];
+    for (let i = 0; i < keys.length; i += BATCH_MAX_FILES) {
+      const chunk = keys.slice(i, i + BATCH_MAX_FILES);
+      const existing = (await config.database.prepare(
+        `SELECT file_key FROM files WHERE file_key IN (${chunk.map(() => '?').join(', ')})`
+      ).bind(...chunk).all()).results || [];
+      existing.forEach(row => taken.add(row.file_key));
+    }
+
+    const summary = { total: records.length, imported: 0, overwritten: 0, renamed: 0, skipped: 0, failed: 0 };
+    const errors = [];
+    const replaced = [];
+    let pending = [];
+    const flush = async () => {
+      if (!pending.length) return;
+      try {
+        await config.database.batch(pending.flatMap(item => item.statements));
+        summary.imported += pending.length;
+        pending.forEach(item => {
+          if (item.outcome) summary[item.outcome]++;
+          replaced.push(...item.replaced);
+        });
+      } catch (error) {
+        summary.failed += pending.length;
+        pending.forEach(item => errors.push({ file_key: item.key, ...errorBody(config, error) }));
+      }
+      pending = [];
+    };
+
+    for (const [index, raw] of records.entries()) {
+      let record;
+      try {
+        record = normalizeIndexRecord(raw);
+        let key = record.file_key;
+        let outcome = null;
+        let replacedMessages = [];
+        const statements = [];
+        if (taken.has(key)) {
+          if (conflict === 'skip') { summary.skipped++; continue; }
+          if (conflict === 'rename') {
+            key = await findFreeFileKey(config, key, taken);
+            outcome = 'renamed';
+          } else {
+            // The row being replaced may still be waiting in this batch
+            if (pending.some(item => item.key === key)) await flush();
+            replacedMessages = await loadFileMessages(config, key) || [];
+            statements.push(
+              config.database.prepare('DELETE FROM file_parts WHERE file_key = ?').bind(key),
+              config.database.prepare('DELETE FROM file_copies WHERE file_key = ?').bind(key),
+              config.database.prepare('DELETE FROM files WHERE file_key = ?').bind(key)
+            );
+            outcome = 'overwritten';
+          }
+        }
+        const folderId = await ensureFolderPath(config, folders, record.folder);
+        statements.push(config.database.prepare(`
+          INSERT INTO files (file_key, fileId, message_id, chat_id, created_at, file_name, file_size, mime_type, folder_id, owner_id, tags, note, content_hash, expires_at, thumb_file_id, compressed)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(key, record.fileId, record.message_id, record.chat_id, record.created_at, record.file_name, record.file_size, record.mime_type, folderId,
+          userIds.get(record.owner) ?? null, record.tags.length ? `,${record.tags.join(',')},` : null, record.note, record.content_hash, record.expires_at, record.thumb_file_id, record.compressed),
+        ...record.parts.map((part, partIndex) => config.database.prepare(
+          'INSERT INTO file_parts (file_key, part_index, fileId, message_id, part_size) VALUES (?, ?, ?, ?, ?)'
+        ).bind(key, partIndex, part.fileId, part.message_id, part.size)),
+        ...record.copies.map(copy => config.database.prepare(
+          'INSERT INTO file_copies (file_key, part_index, chat_id, fileId, message_id) VALUES (?, ?, ?, ?, ?)'
+        ).bind(key, copy.part_index, copy.chat_id, copy.fileId, copy.message_id)));
+        taken.add(key);
+        pending.push({ key, outcome, statements, replaced: replacedMessages });
+        if (pending.length >= IMPORT_BATCH_FILES) await flush();
+      } catch (error) {
+        summary.failed++;
+        errors.push({ file_key: record?.file_key ?? raw?.file_key ?? `#${index + 1}`, ...errorBody(config, error) });
+      }
+    }
+    await flush();
+    const stillUsed = await findSharedMessages(config, replaced);
+    const orphaned = [...new Map(replaced.filter(message => !stillUsed.has(`${message.chatId}:${message.messageId}`))
+      .map(message => [`${message.chatId}:${message.messageId}`, { chat_id: message.chatId, message_id: message.messageId }])).values()];
+    return new Response(JSON.stringify({ success: true, ...summary, errors: errors.slice(0, 100), orphaned }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error);
+  }
+}
+
+// JSON when the body starts with { or [, otherwise CSV with a header row
+function parseIndexBackup(text) {
+  const body = text.replace(/^\uFEFF/, '').trim();
+  if (body.startsWith('{') || body.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch {
+      throw apiError(400, 'IMPORT_JSON_INVALID');
+    }
+    const files = Array.isArray(data) ? data : data?.files;
+    if (!Array.isArray(files)) throw apiError(400, 'IMPORT_FILES_MISSING');
+    return files;
+  }
+  const [header, ...rows] = parseCsv(body);
+  if (!header || !header.includes('file_key')) throw apiError(400, 'IMPORT_CSV_KEY_MISSING');
+  return rows.map(row => Object.fromEntries(header.map((field, i) => [field.trim(), row[i] ?? ''])));
+}
+
+// Validates one imported row and brings it into the stored form; throws with the reason otherwise
+function normalizeIndexRecord(raw) {
+  const invalid = (code, params) => apiError(400, code, params);
+  if (!raw || typeof raw !== 'object') throw invalid('RECORD_INVALID');
+  const key = toFileKey(String(raw.file_key ?? ''));
+  if (!key) throw invalid('RECORD_FIELD_MISSING', { field: 'file_key' });
+  if (ROUTES[`/${key}`] || ['s/', 'thumb/', 'view/'].some(prefix => key.startsWith(prefix))) throw invalid('RECORD_KEY_RESERVED');
+  const fileId = String(raw.fileId ?? '').trim();
+  if (!fileId) throw invalid('RECORD_FIELD_MISSING', { field: 'fileId' });
+  const messageId = Number(raw.message_id);
+  if (!Number.isInteger(messageId) || messageId <= 0) throw invalid('RECORD_FIELD_INVALID', { field: 'message_id' });
+
+  let createdAt = raw.created_at;
+  if (typeof createdAt === 'string' && /^\d+$/.test(createdAt)) createdAt = Number(createdAt);
+  if (typeof createdAt === 'number') {
+    createdAt = toStoredTimestamp(createdAt);
+  } else if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/.test(String(createdAt ?? ''))) {
+    // Anything but the exported form is read as a real point in time
+    const time = createdAt ? Date.parse(createdAt) : Date.now();
+    if (isNaN(time)) throw invalid('RECORD_FIELD_INVALID', { field: 'created_at' });
+    createdAt = toStoredTimestamp(time);
+  }
+
+  // parts and copies are JSON lists, also inside a CSV cell
+  const parseList = field => {
+    if (typeof raw[field] !== 'string') return raw[field] || [];
+    try {
+      return raw[field] ? JSON.parse(raw[field]) : [];
+    } catch {
+      throw invalid('RECORD_FIELD_INVALID', { field });
+    }
+  };
+  const parts = parseList('parts');
+  if (!Array.isArray(parts) || parts.some(part => !part?.fileId || !Number.isInteger(Number(part.message_id)) || !(Number(part.size) > 0))) {
+    throw invalid('RECORD_FIELD_INVALID', { field: 'parts' });
+  }
+  const copies = parseList('copies');
+  if (!Array.isArray(copies) || copies.some(copy => !copy?.fileId || !String(copy.chat_id ?? '').trim()
+    || !Number.isInteger(Number(copy.message_id)) || !(Number(copy.part_index) >= 0 && Number(copy.part_index) < Math.max(parts.length, 1)))) {
+    throw invalid('RECORD_FIELD_INVALID', { field: 'copies' });
+  }
+
+  const ext = (key.split('.').pop() || '').toLowerCase();
+  const size = raw.file_size === '' || raw.file_size === null || raw.file_size === undefined ? null : Number(raw.file_size);
+  const expiresAt = raw.expires_at === '' || raw.expires_at === null || raw.expires_at === undefined ? null : Number(raw.expires_at);
+  if (expiresAt !== null && !(expiresAt > 0)) throw invalid('RECORD_FIELD_INVALID', { field: 'expires_at' });
+  const contentHash = String(raw.content_hash ?? '').toLowerCase();
+  return {
+    file_key: key,
+    fileId,
+    message_id: messageId,
+    chat_id: String(raw.chat_id ?? '').trim() || null,
+    created_at: createdAt,
+    file_name: String(raw.file_name || '') || key.split('/').pop(),
+    file_size: Number.isFinite(size) && size >= 0 ? size : null,
+    mime_type: String(raw.mime_type || '') || getContentType(ext),
+    folder: String(raw.folder ?? ''),
+    owner: String(raw.owner ?? ''),
+    tags: parseTags(raw.tags),
+    note: raw.note ? String(raw.note) : null,
+    content_hash: /^[0-9a-f]{64}$/.test(contentHash) ? contentHash : null,
+    expires_at: expiresAt,
+    // Empty (older backups, CSV) means "not looked up yet" so the thumbnail backfill picks it up
+    thumb_file_id: String(raw.thumb_file_id ?? '').trim() || null,
+    compressed: ['1', 'true'].includes(String(raw.compressed)) ? 1 : 0,
+    parts: parts.map(part => ({ fileId: String(part.fileId), message_id: Number(part.message_id), size: Number(part.size) })),
+    copies: copies.map(copy => ({ part_index: Number(copy.part_index), chat_id: String(copy.chat_id).trim(), fileId: String(copy.fileId), message_id: Number(copy.message_id) }))
+  };
+}
+
+// "a.png" -> "a-2.png", "a-3.png", ... whichever is free both in the database and in this import
+async function findFreeFileKey(config, key, taken) {
+  const dot = key.lastIndexOf('.');
+  const [base, ext] = dot > 0 ? [key.slice(0, dot), key.slice(dot)] : [key, ''];
+  for (let n = 2; ; n++) {
+    const candidate = `${base}-${n}${ext}`;
+    if (taken.has(candidate)) continue;
+    const existing = await config.database.prepare('SELECT 1 FROM files WHERE file_key = ?').bind(candidate).first();
+    if (!existing) return candidate;
+    taken.add(candidate);
+  }
+}
+
+// Folder id for a path like "a/b", creating missing folders; folders is the loadFolders() list and
+// gains the new entries
+async function ensureFolderPath(config, folders, path) {
+  let parentId = null;
+  for (const segment of path.split('/').map(name => name.trim()).filter(Boolean)) {
+    const name = validateFolderName(segment);
+    let folder = folders.find(item => item.parent_id === parentId && item.name === name);
+    if (!folder) {
+      const now = Date.now();
+      const created = await config.database.prepare(
+        'INSERT INTO folders (parent_id, name, created_at) VALUES (?, ?, ?) RETURNING id'
+      ).bind(parentId, name, now).first();
+      folder = { id: created.id, parent_id: parentId, name, created_at: now };
+      folders.push(folder);
+    }
+    parentId = folder.id;
+  }
+  return parentId;
+}
+
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c !== '"') field += c;
+      else if (text[i + 1] === '"') { field += '"'; i++; }
+      else quoted = false;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\r' || c === '\n') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(cells => cells.some(cell => cell !== ''));
+}
+
+// -------- Integrity check --------
+// POST { cursor } checks the files after cursor (ordered by key) with getFile and records the outcome
+// in check_status: "ok", "missing" (Telegram no longer knows the fileId) or "broken" (it resolves but
+// cannot be downloaded, e.g. over the getFile size limit). Errors that may be temporary (rate limits,
+// network) leave the status alone. Mirrored files are checked copy by copy: a part is fine as soon as
+// one of its copies can be read, so a file is only flagged when some part has no readable copy left.
+// Each call makes at most VERIFY_BATCH_CALLS getFile requests to stay
+// below the Workers subrequest limit; the admin page keeps calling until nextCursor is null. A file
+// with more parts and copies than that could never be checked and is counted as skipped instead.
+// GET returns the number of files per status.
+const FILE_CHECK_STATUSES = ['ok', 'missing', 'broken'];
+const VERIFY_BATCH_CALLS = 40;
+
+async function handleVerifyRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'admin')) return forbiddenResponse(config);
+  try {
+    if (request.method !== 'POST') {
+      const rows = (await config.database.prepare(
+        'SELECT check_status, COUNT(*) AS count, MAX(checked_at) AS checked_at FROM files WHERE deleted_at IS NULL GROUP BY check_status'
+      ).all()).results || [];
+      const summary = { total: 0, unchecked: 0, ok: 0, missing: 0, broken: 0, lastCheckedAt: null };
+      for (const row of rows) {
+        summary.total += row.count;
+        summary[row.check_status || 'unchecked'] += row.count;
+        if (row.checked_at) summary.lastCheckedAt = Math.max(summary.lastCheckedAt || 0, row.checked_at);
+      }
+      return new Response(JSON.stringify(summary), { headers: { "Content-Type": "application/json" } });
+    }
+
+    const { cursor = '' } = await request.json().catch(() => ({}));
+    const files = (await config.database.prepare(
+      'SELECT file_key, fileId FROM files WHERE file_key > ? AND deleted_at IS NULL ORDER BY file_key LIMIT ?'
+    ).bind(String(cursor), VERIFY_BATCH_CALLS).all()).results || [];
+    const parts = files.length ? (await config.database.prepare(
+      `SELECT file_key, part_index, fileId FROM file_parts WHERE file_key IN (${files.map(() => '?').join(', ')}) ORDER BY file_key, part_index`
+    ).bind(...files.map(file => file.file_key)).all()).results || [] : [];
+    const sources = await loadFileSources(config, files, parts);
+
+    const result = { checked: 0, ok: 0, missing: 0, broken: 0, errors: 0, skipped: 0 };
+    const statements = [];
+    const now = Date.now();
+    let calls = 0;
+    let lastKey = null;
+    for (const file of files) {
+      const partCount = parts.filter(part => part.file_key === file.file_key).length || 1;
+      const partSources = Array.from({ length: partCount }, (_, index) => sources.get(`${file.file_key}/${index}`));
+      const fileCalls = partSources.reduce((sum, fileIds) => sum + fileIds.length, 0);
+      if (fileCalls > VERIFY_BATCH_CALLS) {
+        result.skipped++;
+        lastKey = file.file_key;
+        continue;
+      }
+      if (calls + fileCalls > VERIFY_BATCH_CALLS) break;
+      calls += fileCalls;
+      lastKey = file.file_key;
+      let check = { status: 'ok', error: null };
+      try {
+        for (const fileIds of partSources) {
+          check = await checkFileCopies(config, fileIds);
+          if (check.status !== 'ok') break;
+        }
+      } catch {
+        result.errors++;
+        continue;
+      }
+      result.checked++;
+      result[check.status]++;
+      statements.push(config.database.prepare(
+        'UPDATE files SET check_status = ?, checked_at = ?, check_error = ? WHERE file_key = ?'
+      ).bind(check.status, now, check.error || null, file.file_key));
+    }
+    if (statements.length) await config.database.batch(statements);
+
+    const done = lastKey === null || (lastKey === files[files.length - 1].file_key && files.length < VERIFY_BATCH_CALLS);
+    return new Response(JSON.stringify({ ...result, nextCursor: done ? null : lastKey }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error);
+  }
+}
+
+// Outcome for one part stored as several copies: ok once a copy can be read, otherwise the original's
+// failure. Throws when no copy was readable and one of them could not be checked at all.
+async function checkFileCopies(config, fileIds) {
+  let failure = null;
+  let uncertain = null;
+  for (const fileId of fileIds) {
+    try {
+      const check = await checkTelegramFile(config, fileId);
+      if (check.status === 'ok') return check;
+      failure ??= check;
+    } catch (error) {
+      uncertain ??= error;
+    }
+  }
+  if (uncertain) throw uncertain;
+  return failure;
+}
+
+// getFile outcome for one fileId as { status, error }, where error is Telegram's description or an error
+// code the admin page translates; throws when Telegram's answer says nothing about the file itself
+async function checkTelegramFile(config, fileId) {
+  const resp = await telegramFetch(telegramMethodUrl(config, 'getFile', { file_id: fileId }));
+  const data = await resp.json().catch(() => ({}));
+  if (resp.ok && data.result?.file_path) return { status: 'ok', error: null };
+  const description = data.description || `HTTP ${resp.status}`;
+  if (resp.status === 400) return { status: /too big/i.test(description) ? 'broken' : 'missing', error: description };
+  if (resp.ok) return { status: 'broken', error: 'FILE_PATH_INVALID' };
+  throw new Error(description);
+}
+
+// -------- Thumbnails --------
+// GET /thumb/<key> serves Telegram's preview of a file for the admin grid; files without one get 404
+// and the page falls back to an icon or the file itself
+async function handleThumbnailRequest(request, config) {
+  const url = new URL(request.url);
+  const cache = caches.default;
+  const cacheKey = new Request(url.origin + url.pathname);
+  let key;
+  try {
+    key = decodeURIComponent(url.pathname.slice('/thumb/'.length));
+  } catch {
+    return new Response(translate(config.locale, 'THUMBNAIL_NOT_FOUND'), { status: 404, headers: { "Content-Type": "text/plain; charset=UTF-8" } });
+  }
+  try {
+    if (!isHotlinkAllowed(request, config)) return hotlinkBlockedResponse(config, key);
+    // Checked before the cache for the same reason as in handleFileRequest
+    const file = await config.database.prepare(
+      'SELECT thumb_file_id, expires_at FROM files WHERE file_key = ? AND deleted_at IS NULL AND (expires_at IS NULL OR expires_at > ?)'
+    ).bind(key, Date.now()).first();
+    if (!file?.thumb_file_id) return new Response(translate(config.locale, 'THUMBNAIL_NOT_FOUND'), { status: 404, headers: { "Content-Type": "text/plain; charset=UTF-8" } });
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+
+    // Telegram previews are always JPEG
+    const response = new Response((await fetchTelegramFile(config, file.thumb_file_id)).body, {
+      headers: {
+        'Content-Type': 'image/jpeg',
+        'Cache-Control': `public, max-age=${file.expires_at ? Math.max(Math.floor((file.expires_at - Date.now()) / 1000), 0) : 31536000}`,
+        'X-Content-Type-Options': 'nosniff'
+      }
+    });
+    await cache.put(cacheKey, response.clone());
     return response;
   } catch (error) {
-    return new Response('服务器内部错误', { status: 500, headers: { "Content-Type": "text/plain; charset=UTF-8" } });
+    if (error.status) return new Response(localizeError(config, error), { status: error.status, headers: { "Content-Type": "text/plain; charset=UTF-8" } });
+    return new Response(translate(config.locale, 'INTERNAL_ERROR'), { status: 500, headers: { "Content-Type": "text/plain; charset=UTF-8" } });
+  }
+}
+
+// Fills thumb_file_id for media stored before thumbnails were recorded. POST { cursor } handles up to
+// THUMB_BACKFILL_FILES files (two Telegram calls each) and returns nextCursor until done; GET returns how
+// many files are still waiting. Chunked files have no preview and are only marked as looked up.
+const THUMB_BACKFILL_FILES = 20;
+const THUMB_PENDING_FILTER = `thumb_file_id IS NULL AND deleted_at IS NULL
+  AND (mime_type LIKE 'image/%' OR mime_type LIKE 'video/%' OR mime_type LIKE 'audio/%')`;
+
+async function handleThumbnailBackfillRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'admin')) return forbiddenResponse(config);
+  try {
+    if (request.method !== 'POST') {
+      const { pending } = await config.database.prepare(`SELECT COUNT(*) AS pending FROM files WHERE ${THUMB_PENDING_FILTER}`).first();
+      return new Response(JSON.stringify({ pending }), { headers: { "Content-Type": "application/json" } });
+    }
+
+    const { cursor = '' } = await request.json().catch(() => ({}));
+    const files = (await config.database.prepare(`
+      SELECT file_key, message_id, chat_id, EXISTS (SELECT 1 FROM file_parts p WHERE p.file_key = files.file_key) AS chunked
+      FROM files WHERE ${THUMB_PENDING_FILTER} AND file_key > ? ORDER BY file_key LIMIT ?
+    `).bind(String(cursor), THUMB_BACKFILL_FILES).all()).results || [];
+
+    const result = { processed: 0, found: 0, errors: 0 };
+    const statements = [];
+    for (const file of files) {
+      let thumbFileId = '';
+      if (!file.chunked) {
+        try {
+          thumbFileId = await fetchMessageThumbnail(config, file.chat_id ?? config.tgChatId, file.message_id);
+        } catch {
+          result.errors++;
+          continue;
+        }
+      }
+      result.processed++;
+      if (thumbFileId) result.found++;
+      // Aliases of the same upload share the message and so the preview
+      statements.push(config.database.prepare(
+        'UPDATE files SET thumb_file_id = ? WHERE message_id = ? AND chat_id IS ? AND thumb_file_id IS NULL'
+      ).bind(thumbFileId, file.message_id, file.chat_id));
+    }
+    if (statements.length) await config.database.batch(statements);
+
+    const nextCursor = files.length < THUMB_BACKFILL_FILES ? null : files[files.length - 1].file_key;
+    return new Response(JSON.stringify({ ...result, nextCursor }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error);
+  }
+}
+
+// The Bot API cannot read old messages, so the stored message is forwarded within its storage chat,
+// the copy's preview is taken and the copy deleted again. Resolves to '' when the message has no
+// preview or is gone; throws on errors that may be temporary.
+async function fetchMessageThumbnail(config, chatId, messageId) {
+  const resp = await telegramFetch(telegramMethodUrl(config, 'forwardMessage'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ chat_id: chatId, from_chat_id: chatId, message_id: messageId, disable_notification: true })
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (resp.status === 400) return '';
+  if (!resp.ok || !data.result?.message_id) throw new Error(data.description || `HTTP ${resp.status}`);
+  await deleteTelegramMessage(config, chatId, data.result.message_id).catch(() => {});
+  return getThumbnailFileId(data.result);
+}
+
+// -------- Preview pages --------
+// GET /view/<key>: a page around the file with a viewer for its type and OpenGraph/Twitter tags, so
+// links pasted into chats unfurl with a title and picture. Public like the file itself.
+async function handleViewRequest(request, config) {
+  let key = '';
+  try {
+    key = decodeURIComponent(new URL(request.url).pathname.slice('/view/'.length));
+  } catch {}
+  const file = key && await config.database.prepare(
+    `SELECT file_key, file_name, file_size, mime_type, created_at, thumb_file_id
+     FROM files WHERE file_key = ? AND deleted_at IS NULL AND (expires_at IS NULL OR expires_at > ?)`
+  ).bind(key, Date.now()).first();
+  if (!file) {
+    return new Response(generateSharePage(config.locale, { message: translate(config.locale, 'view.notFound') }), { status: 404, headers: { "Content-Type": "text/html;charset=UTF-8" } });
+  }
+  return new Response(generateViewPage(config.locale, withFileUrl(config, file)), { headers: { "Content-Type": "text/html;charset=UTF-8", "Cache-Control": "no-cache" } });
+}
+
+// Text shown inline on preview pages is fetched by the browser; larger files only get the download button
+const VIEW_TEXT_MAX_SIZE = 1024 * 1024;
+const TEXT_MIME_TYPES = ['application/json', 'application/xml', 'application/javascript', 'application/yaml', 'application/x-sh', 'application/toml', 'application/sql'];
+const CODE_EXTENSIONS = ['js', 'mjs', 'cjs', 'ts', 'tsx', 'jsx', 'vue', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'c', 'h', 'cpp', 'hpp', 'cs', 'php', 'swift',
+  'lua', 'pl', 'r', 'sh', 'bash', 'ps1', 'bat', 'sql', 'css', 'scss', 'html', 'htm', 'json', 'xml', 'yml', 'yaml', 'toml', 'ini', 'conf', 'cfg',
+  'env', 'log', 'csv', 'tsv', 'diff', 'patch', 'dockerfile', 'gradle', 'txt'];
+
+// image, video, audio, pdf, markdown, text or none
+function getViewerType(file) {
+  const mimeType = file.mime_type || '';
+  const ext = getFileExtension(file.file_name) || getFileExtension(file.file_key);
+  if (['md', 'markdown'].includes(ext) || mimeType === 'text/markdown') return 'markdown';
+  if (mimeType === 'application/pdf') return 'pdf';
+  const [mainType] = mimeType.split('/');
+  if (['image', 'video', 'audio'].includes(mainType)) return mainType;
+  if (mainType === 'text' || TEXT_MIME_TYPES.includes(mimeType) || CODE_EXTENSIONS.includes(ext)) return 'text';
+  return 'none';
+}
+
+// -------- Share links --------
+// GET lists share links (optionally ?url=<file> for one file); POST { url, expiresIn (seconds), password, maxDownloads } creates one
+async function handleSharesRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'uploader')) return forbiddenResponse(config);
+  try {
+    if (request.method === 'POST') {
+      const { url, expiresIn, password, maxDownloads } = await request.json();
+      const key = typeof url === 'string' ? toFileKey(url) : '';
+      await assertCanModifyFile(config, user, key);
+
+      const now = Date.now();
+      let expiresAt = null;
+      if (expiresIn !== undefined && expiresIn !== null && expiresIn !== '') {
+        const seconds = Number(expiresIn);
+        if (!Number.isFinite(seconds) || seconds <= 0) throw apiError(400, 'SHARE_EXPIRY_INVALID');
+        expiresAt = now + Math.round(seconds * 1000);
+      }
+      let limit = null;
+      if (maxDownloads !== undefined && maxDownloads !== null && maxDownloads !== '') {
+        limit = Number(maxDownloads);
+        if (!Number.isInteger(limit) || limit <= 0) throw apiError(400, 'SHARE_LIMIT_INVALID');
+      }
+      if (password !== undefined && password !== null && typeof password !== 'string') {
+        throw apiError(400, 'SHARE_PASSWORD_INVALID');
+      }
+      const passwordHash = password ? await hashPassword(password) : null;
+
+      const token = bytesToBase64Url(crypto.getRandomValues(new Uint8Array(12)));
+      await config.database.prepare(
+        `INSERT INTO share_links (token, file_key, created_at, expires_at, password_hash, max_downloads)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      ).bind(token, key, now, expiresAt, passwordHash, limit).run();
+      return new Response(JSON.stringify({ success: true, token, url: `${config.origin}/s/${token}`, expiresAt, maxDownloads: limit, protected: !!passwordHash }), { headers: { "Content-Type": "application/json" } });
+    }
+
+    const fileUrl = new URL(request.url).searchParams.get('url');
+    const where = [];
+    const params = [];
+    if (fileUrl) {
+      where.push('s.file_key = ?');
+      params.push(toFileKey(fileUrl));
+    }
+    if (visibleOwnerId(user) !== undefined) {
+      where.push('f.owner_id IS ?');
+      params.push(visibleOwnerId(user));
+    }
+    const rows = (await config.database.prepare(
+      `SELECT s.token, s.file_key, s.created_at, s.expires_at, s.max_downloads, s.download_count,
+              s.password_hash IS NOT NULL AS protected, f.file_name
+       FROM share_links s JOIN files f ON f.file_key = s.file_key
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY s.created_at DESC`
+    ).bind(...params).all()).results || [];
+    const now = Date.now();
+    const links = rows.map(link => ({
+      ...link,
+      protected: !!link.protected,
+      url: `${config.origin}/s/${link.token}`,
+      fileUrl: buildFileUrl(config, link.file_key),
+      active: (link.expires_at === null || link.expires_at > now) && (link.max_downloads === null || link.download_count < link.max_downloads)
+    }));
+    return new Response(JSON.stringify({ links }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error);
+  }
+}
+
+async function handleRevokeShareRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'uploader')) return forbiddenResponse(config);
+  try {
+    const { token } = await request.json();
+    const link = await config.database.prepare('SELECT file_key FROM share_links WHERE token = ?').bind(String(token || '')).first();
+    if (!link) {
+      return errorResponse(config, apiError(404, 'SHARE_NOT_FOUND'));
+    }
+    await assertCanModifyFile(config, user, link.file_key);
+    await config.database.prepare('DELETE FROM share_links WHERE token = ?').bind(String(token)).run();
+    return new Response(JSON.stringify({ success: true }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error);
+  }
+}
+
+// Public: /s/<token>. Password-protected links show a prompt first; a correct password sets a cookie
+// scoped to the link. A download is counted for each full response (200, or 206 from byte 0), so a
+// player seeking through a video uses up one download, not one per range request.
+async function handleShareRequest(request, config) {
+  const token = new URL(request.url).pathname.slice('/s/'.length);
+  const link = await config.database.prepare(
+    `SELECT s.token, s.file_key, s.expires_at, s.password_hash, s.max_downloads, s.download_count, f.file_name
+     FROM share_links s JOIN files f ON f.file_key = s.file_key
+     WHERE s.token = ? AND f.deleted_at IS NULL AND (f.expires_at IS NULL OR f.expires_at > ?)`
+  ).bind(token, Date.now()).first();
+  const sharePage = (status, options, headers = {}) => new Response(generateSharePage(config.locale, options), { status, headers: { ...headers, "Content-Type": "text/html;charset=UTF-8", "Cache-Control": "no-store" } });
+
+  if (!link) return sharePage(404, { message: translate(config.locale, 'share.notFound') });
+  if (link.expires_at !== null && link.expires_at <= Date.now()) return sharePage(410, { message: translate(config.locale, 'share.expired') });
+  if (link.max_downloads !== null && link.download_count >= link.max_downloads) return sharePage(410, { message: translate(config.locale, 'share.exhausted') });
+
+  if (link.password_hash) {
+    const access = await getShareAccessToken(link);
+    const cookie = (request.headers.get('Cookie') || '').match(new RegExp(`(?:^|;\\s*)share_${token}=([^;]+)`));
+    if (!cookie || !timingSafeEqual(cookie[1], access)) {
+      if (request.method !== 'POST') return sharePage(200, { fileName: link.file_name, passwordRequired: true });
+      // Password attempts per IP and link, with the same limits as the login lockout
+      const retryAfter = await checkRateLimit(config, request, `share:${token}`, config.loginMaxAttempts, config.loginLockMinutes * 60);
+      if (retryAfter) {
+        const error = translate(config.locale, 'share.locked', { minutes: Math.ceil(retryAfter / 60) });
+        return sharePage(429, { fileName: link.file_name, passwordRequired: true, error }, { "Retry-After": String(retryAfter) });
+      }
+      const form = await request.formData().catch(() => null);
+      if (!(await verifyPassword(form?.get('password'), link.password_hash))) {
+        return sharePage(403, { fileName: link.file_name, passwordRequired: true, error: translate(config.locale, 'share.wrongPassword') });
+      }
+      const expires = link.expires_at !== null ? `; Expires=${new Date(link.expires_at).toUTCString()}` : '';
+      return new Response(null, {
+        status: 303,
+        headers: { "Location": `/s/${token}`, "Set-Cookie": `share_${token}=${access}; Path=/s/${token}; HttpOnly; Secure; SameSite=Lax${expires}` }
+      });
+    }
+  }
+
+  const fileRequest = new Request(buildFileUrl(config, link.file_key), { method: request.method === 'HEAD' ? 'HEAD' : 'GET', headers: request.headers });
+  const response = await handleFileRequest(fileRequest, config);
+  const fullDownload = response.status === 200 || (response.status === 206 && /^bytes 0-/.test(response.headers.get('Content-Range') || ''));
+  if (request.method !== 'HEAD' && fullDownload) {
+    // Checked again here so concurrent requests cannot go over the limit
+    const counted = await config.database.prepare(
+      `UPDATE share_links SET download_count = download_count + 1
+       WHERE token = ? AND (max_downloads IS NULL OR download_count < max_downloads)
+       RETURNING download_count`
+    ).bind(token).first();
+    if (!counted) {
+      await response.body?.cancel();
+      return sharePage(410, { message: translate(config.locale, 'share.exhausted') });
+    }
+  }
+  const headers = new Headers(response.headers);
+  headers.set('Cache-Control', 'private, no-store');
+  return new Response(response.body, { status: response.status, headers });
+}
+
+// Cookie value proving the password was entered; changes whenever the link's password hash does
+function getShareAccessToken(link) {
+  return sha256Base64Url(`${link.token}:${link.password_hash}`);
+}
+
+// -------- Telegram bot (webhook) --------
+const BOT_COMMANDS = ['list', 'search', 'delete'];
+
+function botCommands(locale) {
+  return BOT_COMMANDS.map(command => ({ command, description: translate(locale, `bot.command.${command}`) }));
+}
+
+// Updates from Telegram carry no cookie or Accept-Language, so replies follow the sender's Telegram language
+function getBotLocale(message) {
+  const language = String(message.from?.language_code || '').toLowerCase().split('-')[0];
+  return LOCALES.find(locale => locale.toLowerCase().split('-')[0] === language) || DEFAULT_LOCALE;
+}
+
+async function handleSetWebhookRequest(request, config) {
+  const user = await getCurrentUser(request, config);
+  if (!user) return Response.redirect(`${new URL(request.url).origin}/`, 302);
+  if (!hasRole(user, 'admin')) return forbiddenResponse(config);
+  if (!config.tgWebhookSecret) {
+    return errorResponse(config, apiError(500, 'WEBHOOK_SECRET_MISSING'));
+  }
+  try {
+    const webhook = await callTelegramApi(config, 'setWebhook', {
+      url: `${config.origin}/webhook`,
+      secret_token: config.tgWebhookSecret,
+      allowed_updates: ['message']
+    });
+    // Telegram shows the list matching the user's language and falls back to the one without language_code
+    await callTelegramApi(config, 'setMyCommands', { commands: botCommands(DEFAULT_LOCALE) });
+    for (const locale of LOCALES.filter(locale => locale !== DEFAULT_LOCALE)) {
+      await callTelegramApi(config, 'setMyCommands', { commands: botCommands(locale), language_code: locale.split('-')[0] });
+    }
+    return new Response(JSON.stringify({ success: true, url: `${config.origin}/webhook`, description: webhook.description }), { headers: { "Content-Type": "application/json" } });
+  } catch (error) {
+    return errorResponse(config, error, 502);
+  }
+}
+
+async function handleWebhookRequest(request, config) {
+  if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+  const secret = request.headers.get('X-Telegram-Bot-Api-Secret-Token') || '';
+  if (!config.tgWebhookSecret || !timingSafeEqual(secret, config.tgWebhookSecret)) {
+    return new Response('Forbidden', { status: 403 });
+  }
+
+  const update = await request.json().catch(() => null);
+  const message = update?.message;
+  // Always acknowledge with 200, otherwise Telegram keeps redelivering the update
+  if (!message?.chat) return new Response('OK');
+
+  config.locale = getBotLocale(message);
+  let reply;
+  if (!config.tgAllowedUsers.includes(String(message.from?.id))) {
+    reply = translate(config.locale, 'bot.notAllowed', { id: message.from?.id });
+  } else {
+    try {
+      reply = await handleBotMessage(config, message);
+    } catch (error) {
+      reply = translate(config.locale, 'bot.failed', { error: localizeError(config, error) });
+    }
+  }
+  if (reply) {
+    await callTelegramApi(config, 'sendMessage', {
+      chat_id: message.chat.id,
+      text: reply,
+      reply_to_message_id: message.message_id,
+      disable_web_page_preview: true
+    }).catch(() => {});
+  }
+  return new Response('OK');
+}
+
+async function handleBotMessage(config, message) {
+  const media = getMessageMedia(message);
+  if (media) return saveBotFile(config, message, media);
+
+  const text = (message.text || '').trim();
+  const [command, ...args] = text.split(/\s+/);
+  const argument = args.join(' ');
+  switch (command.replace(/@\w+$/, '')) {
+    case '/list': {
+      const recent = await config.database.prepare(
+        `SELECT file_key, file_name, file_size FROM files WHERE ${LIVE_FILE_FILTER} ORDER BY created_at DESC LIMIT 10`
+      ).bind(Date.now()).all();
+      const files = (recent.results || []).map(file => withFileUrl(config, file));
+      return translate(config.locale, files.length ? 'bot.recent' : 'bot.noFiles', { list: formatBotFileList(files) });
+    }
+    case '/search': {
+      if (!argument) return translate(config.locale, 'bot.searchUsage');
+      const { files, total } = await queryFiles(config, { query: argument, limit: 10 });
+      if (!files.length) return translate(config.locale, 'bot.searchEmpty', { query: argument });
+      const more = total > files.length ? `\n\n${translate(config.locale, 'bot.searchMore', { shown: files.length, total })}` : '';
+      return translate(config.locale, 'bot.searchResults', { query: argument, list: formatBotFileList(files) }) + more;
+    }
+    case '/delete': {
+      if (!argument) return translate(config.locale, 'bot.deleteUsage');
+      const key = toFileKey(argument);
+      const file = await config.database.prepare('SELECT 1 FROM files WHERE file_key = ? AND deleted_at IS NULL').bind(key).first();
+      if (!file) return translate(config.locale, 'FILE_NOT_FOUND');
+      await trashFileRecord(config, key);
+      return translate(config.locale, 'bot.trashed', { days: config.trashRetentionDays });
+    }
+    default:
+      return [translate(config.locale, 'bot.help'), '', ...botCommands(config.locale).map(c => `/${c.command} - ${c.description}`)].join('\n');
+  }
+}
+
+// Copies the incoming message into the storage chat(s) (so delete works like for web uploads) and records it
+async function saveBotFile(config, message, media) {
+  if (config.tgApiBase === TELEGRAM_API_BASE && media.file_size > 20 * 1024 * 1024) return translate(config.locale, 'bot.tooBig');
+
+  const fileName = media.file_name || (message.photo ? `photo_${message.message_id}.jpg` : `file_${message.message_id}.${getExtension(media.mime_type)}`);
+  const ext = (fileName.split('.').pop() || '').toLowerCase();
+  const [chatId, ...mirrorChats] = pickStorageChats(config);
+  const copied = await callTelegramApi(config, 'copyMessage', {
+    chat_id: chatId,
+    from_chat_id: message.chat.id,
+    message_id: message.message_id
+  });
+  if (!copied.result?.message_id) throw apiError(500, 'TELEGRAM_MESSAGE_ID_MISSING');
+  const { copies, mirrorErrors } = await mirrorMessages(config, chatId, [copied.result.message_id], mirrorChats);
+
+  // Bot uploads belong to the USERNAME account (claimed at its next login if it does not exist yet)
+  const owner = config.username ? await getEnvAdmin(config) : null;
+  const key = await saveFileRecord(config, {
+    ownerId: owner?.id ?? null,
+    ext,
+    fileId: media.file_id,
+    messageId: copied.result.message_id,
+    chatId,
+    fileName,
+    fileSize: media.file_size || 0,
+    mimeType: media.mime_type || getContentType(ext),
+    // file IDs stay valid in other chats of the same bot, so the incoming message's preview works
+    thumbFileId: getThumbnailFileId(message),
+    compressed: !!message.photo,
+    copies
+  });
+  const warnings = mirrorErrors.map(failure => translate(config.locale, 'bot.mirrorFailed', { chat: failure.chat_id, error: failure.error }));
+  return [translate(config.locale, 'bot.saved', { name: fileName, url: buildFileUrl(config, key) }), ...warnings].join('\n');
+}
+
+function formatBotFileList(files) {
+  return files.map(file => `${file.file_name} (${formatSize(file.file_size || 0)})\n${file.url}`).join('\n\n');
+}
+
+// -------- Utils --------
+// Links are always built from the origin of the current request, never stored
+function buildFileUrl(config, key) {
+  return `${config.origin}/${encodeFileKey(key)}`;
+}
+
+function encodeFileKey(key) {
+  return encodeURIComponent(key).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+function withFileUrl(config, file) {
+  const urls = { url: buildFileUrl(config, file.file_key), view_url: `${config.origin}/view/${encodeFileKey(file.file_key)}` };
+  if (file.thumb_file_id) urls.thumb_url = `${config.origin}/thumb/${encodeFileKey(file.file_key)}`;
+  return { ...file, ...urls };
+}
+
+// Accepts a file key or a link to it on any domain (older clients and bot users send full URLs)
+function toFileKey(value) {
+  const input = value.trim();
+  if (/^https?:\/\//i.test(input)) {
+    try {
+      return decodeURIComponent(new URL(input).pathname.slice(1));
+    } catch {
+      return '';
+    }
+  }
+  return input.replace(/^\/+/, '');
+}
+
+// created_at is stored as UTC+8 wall-clock time in ISO form; convert it back to a real instant
+function parseCreatedAt(createdAt) {
+  return new Date(new Date(createdAt).getTime() - 8 * 60 * 60 * 1000);
+}
+
+// The stored created_at form of an instant (epoch milliseconds)
+function toStoredTimestamp(time) {
+  return new Date(time + 8 * 60 * 60 * 1000).toISOString();
+}
+
+function formatSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unitIndex = 0;
+  while (size >= 1024 && unitIndex < units.length - 1) { size /= 1024; unitIndex++; }
+  return `${size.toFixed(2)} ${units[unitIndex]}`;
+}
+
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml', icon: 'image/x-icon', ico: 'image/x-icon',
+  bmp: 'image/bmp', tif: 'image/tiff', tiff: 'image/tiff', avif: 'image/avif', heic: 'image/heic',
+  mp4: 'video/mp4', webm: 'video/webm', mov: 'video/quicktime', mkv: 'video/x-matroska', avi: 'video/x-msvideo',
+  mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg', m4a: 'audio/mp4', flac: 'audio/flac',
+  pdf: 'application/pdf', txt: 'text/plain', md: 'text/markdown',
+  zip: 'application/zip', rar: 'application/x-rar-compressed', '7z': 'application/x-7z-compressed', gz: 'application/gzip',
+  json: 'application/json', xml: 'application/xml', ini: 'text/plain',
+  js: 'application/javascript', yml: 'application/yaml', yaml: 'application/yaml',
+  py: 'text/x-python', sh: 'application/x-sh'
+};
+
+function getContentType(ext) {
+  return CONTENT_TYPES[ext] || 'application/octet-stream';
+}
+
+function getExtension(mimeType) {
+  return Object.keys(CONTENT_TYPES).find(ext => CONTENT_TYPES[ext] === mimeType) || 'bin';
+}
+
+// Lower-case extension of a file name, '' when it has none
+function getFileExtension(fileName) {
+  const name = String(fileName || '');
+  return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+}
+
+// -------- MIME detection --------
+// Formats Telegram's sendPhoto accepts (and recompresses to JPEG); other images go as documents
+const TELEGRAM_PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/bmp'];
+
+// Leading bytes of an upload that detectMimeType looks at
+const MAGIC_BYTES_LENGTH = 64;
+
+// [type, test] in order of precedence; tests get the first MAGIC_BYTES_LENGTH bytes
+const MAGIC_SIGNATURES = [
+  ['image/png', bytes => hasSignature(bytes, 0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])],
+  ['image/jpeg', bytes => hasSignature(bytes, 0, [0xFF, 0xD8, 0xFF])],
+  ['image/gif', bytes => hasSignature(bytes, 0, 'GIF87a') || hasSignature(bytes, 0, 'GIF89a')],
+  ['image/webp', bytes => hasSignature(bytes, 0, 'RIFF') && hasSignature(bytes, 8, 'WEBP')],
+  ['image/bmp', bytes => hasSignature(bytes, 0, 'BM') && hasSignature(bytes, 6, [0, 0, 0, 0])],
+  ['image/x-icon', bytes => hasSignature(bytes, 0, [0, 0, 1, 0])],
+  ['image/tiff', bytes => hasSignature(bytes, 0, 'II*\0') || hasSignature(bytes, 0, 'MM\0*')],
+  ['image/avif', bytes => hasIsoBrand(bytes, ['avif', 'avis'])],
+  ['image/heic', bytes => hasIsoBrand(bytes, ['heic', 'heix', 'mif1', 'msf1'])],
+  ['video/quicktime', bytes => hasIsoBrand(bytes, ['qt  '])],
+  ['audio/mp4', bytes => hasIsoBrand(bytes, ['M4A ', 'M4B '])],
+  ['video/mp4', bytes => hasSignature(bytes, 4, 'ftyp')],
+  ['video/webm', bytes => hasSignature(bytes, 0, [0x1A, 0x45, 0xDF, 0xA3]) && new TextDecoder('latin1').decode(bytes).includes('webm')],
+  ['video/x-matroska', bytes => hasSignature(bytes, 0, [0x1A, 0x45, 0xDF, 0xA3])],
+  ['video/x-msvideo', bytes => hasSignature(bytes, 0, 'RIFF') && hasSignature(bytes, 8, 'AVI ')],
+  ['audio/wav', bytes => hasSignature(bytes, 0, 'RIFF') && hasSignature(bytes, 8, 'WAVE')],
+  ['audio/ogg', bytes => hasSignature(bytes, 0, 'OggS')],
+  ['audio/flac', bytes => hasSignature(bytes, 0, 'fLaC')],
+  // ID3v2 tag, or an MPEG audio frame header (sync bits plus a valid layer)
+  ['audio/mpeg', bytes => (hasSignature(bytes, 0, 'ID3') && bytes[3] >= 2 && bytes[3] <= 4) || (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0 && (bytes[1] & 0x06) !== 0)],
+  ['application/pdf', bytes => hasSignature(bytes, 0, '%PDF-')],
+  ['application/zip', bytes => hasSignature(bytes, 0, [0x50, 0x4B, 0x03, 0x04]) || hasSignature(bytes, 0, [0x50, 0x4B, 0x05, 0x06])],
+  ['application/x-rar-compressed', bytes => hasSignature(bytes, 0, 'Rar!\x1A\x07')],
+  ['application/x-7z-compressed', bytes => hasSignature(bytes, 0, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C])],
+  ['application/gzip', bytes => hasSignature(bytes, 0, [0x1F, 0x8B])]
+];
+
+// Signatures shared by many formats (docx and apk are ZIP files, m4v is ISO media, ...). A type
+// claimed by the extension or the browser within these families is more specific than the match.
+const CONTAINER_FAMILIES = {
+  'application/zip': ['application'],
+  'video/mp4': ['video', 'audio'],
+  'video/webm': ['video', 'audio'],
+  'video/x-matroska': ['video', 'audio'],
+  'audio/ogg': ['audio', 'video', 'application']
+};
+
+function hasSignature(bytes, offset, signature) {
+  const expected = typeof signature === 'string' ? [...signature].map(c => c.charCodeAt(0)) : signature;
+  return bytes.length >= offset + expected.length && expected.every((byte, i) => bytes[offset + i] === byte);
+}
+
+// ISO base media files (MP4, MOV, HEIF, AVIF) name their major brand right after "ftyp"
+function hasIsoBrand(bytes, brands) {
+  return hasSignature(bytes, 4, 'ftyp') && brands.some(brand => hasSignature(bytes, 8, brand));
+}
+
+function detectMimeType(bytes) {
+  return MAGIC_SIGNATURES.find(([, test]) => test(bytes))?.[0] || null;
+}
+
+// Content first, then the extension, then what the browser sent. Text formats have no signature and
+// keep their claimed type.
+function resolveMimeType(bytes, fileName, declaredType) {
+  const claimed = [CONTENT_TYPES[getFileExtension(fileName)], (declaredType || '').split(';')[0].trim().toLowerCase()]
+    .find(type => type && type !== 'application/octet-stream') || null;
+  const detected = detectMimeType(bytes);
+  if (detected && claimed && CONTAINER_FAMILIES[detected]?.includes(claimed.split('/')[0])) return claimed;
+  return detected || claimed || 'application/octet-stream';
+}
+
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const bytesA = new TextEncoder().encode(a);
+  const bytesB = new TextEncoder().encode(b);
+  let diff = bytesA.length ^ bytesB.length;
+  for (let i = 0; i < bytesA.length; i++) diff |= bytesA[i] ^ (bytesB[i] || 0);
+  return diff === 0;
+}
+
+// Digest of a stream, consumed chunk by chunk instead of being buffered (crypto.DigestStream is a Workers API)
+async function sha256Hex(stream) {
+  const digestStream = new crypto.DigestStream('SHA-256');
+  await stream.pipeTo(digestStream);
+  const digest = await digestStream.digest;
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function sha256Base64Url(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return bytesToBase64Url(new Uint8Array(digest));
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(str) {
+  const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - str.length % 4) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// JSON that is safe to embed inside an inline <script>
+function jsonForScript(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function escapeHtml(str) {
+  return (str || '').replace(/[&<>"']/g, s => ({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' }[s]));
+}
+
+// -------- i18n --------
+// Page strings and API messages per locale. UPPER_SNAKE_CASE keys are API errors and double as the
+// stable `code` returned next to the localized `error`; dotted keys are page strings, of which each
+// page ships its own prefixes to the browser (clientI18nScript). "{name}" placeholders are filled
+// by translate(). Keys missing from a locale fall back to DEFAULT_LOCALE.
+const LOCALES = ['zh-CN', 'en'];
+const DEFAULT_LOCALE = 'zh-CN';
+const LOCALE_NAMES = { 'zh-CN': '中文', en: 'English' };
+// Set by the language switcher; wins over Accept-Language
+const LOCALE_COOKIE = 'lang';
+
+const MESSAGES = {
+  'zh-CN': {
+    INTERNAL_ERROR: '服务器内部错误',
+    DATABASE_INIT_FAILED: '数据库初始化失败: {error}',
+    FORBIDDEN: '没有权限',
+    NOT_LOGGED_IN: '未登录',
+    LOGIN_FAILED: '用户名或密码错误',
+    LOGIN_LOCKED: '登录失败次数过多，请{minutes}分钟后再试',
+    SESSION_SECRET_MISSING: '未配置SESSION_SECRET',
+    WEBHOOK_SECRET_MISSING: '未配置TG_WEBHOOK_SECRET',
+    TOKEN_ROUTE_FORBIDDEN: 'API令牌不能访问此路径',
+    TOKEN_INVALID: 'API令牌无效',
+    TOKEN_SCOPE_MISSING: 'API令牌缺少{scope}权限',
+    TOKEN_AUTH_DISABLED: '未开启登录时不需要API令牌',
+    TOKEN_NAME_INVALID: '令牌名称不能为空且不能超过100个字符',
+    TOKEN_SCOPE_INVALID: '无效的权限范围，需从 read、upload、delete 中至少选择一项',
+    TOKEN_NOT_FOUND: '令牌不存在',
+    UPLOADER_CONFIG_INVALID: '无效的配置类型',
+    RATE_LIMITED: '请求过于频繁，请{seconds}秒后再试',
+    UPLOAD_FORBIDDEN: '没有上传权限',
+    UPLOAD_RATE_LIMITED: '上传过于频繁，请{seconds}秒后再试',
+    NO_FILE: '未找到文件',
+    TOO_MANY_URLS: '一次最多导入{max}个链接',
+    REMOTE_URL_INVALID: '无效的链接：{url}',
+    REMOTE_PROTOCOL_UNSUPPORTED: '只支持http和https链接',
+    REMOTE_TIMEOUT: '无法访问该链接（连接超时）',
+    REMOTE_UNREACHABLE: '无法访问该链接（{reason}）',
+    REMOTE_HTTP_ERROR: '远程服务器返回 {status}',
+    REMOTE_TYPE_UNSUPPORTED: '不支持的文件类型：{type}',
+    REMOTE_TOO_LARGE: '远程文件超过大小限制（{limit}）',
+    REMOTE_EMPTY: '远程文件为空',
+    EXPIRY_INVALID: '无效的保留时间',
+    QUOTA_EXCEEDED: '存储空间不足：已用{used}，配额{quota}',
+    SLUG_INVALID: '自定义链接只能包含字母、数字、点、下划线和连字符，且以字母或数字开头',
+    SLUG_RESERVED: '该链接为系统保留路径',
+    SLUG_TAKEN: '该链接已被占用',
+    TELEGRAM_LOCAL_FILE_BASE_MISSING: 'Bot API服务器处于local模式，请设置TG_LOCAL_FILE_BASE',
+    TELEGRAM_RATE_LIMITED: 'Telegram请求过于频繁，请稍后再试',
+    TELEGRAM_SEND_FAILED: 'Telegram参数配置错误',
+    TELEGRAM_FILE_ID_MISSING: '未获取到文件ID',
+    TELEGRAM_MESSAGE_ID_MISSING: '未获取到tg消息ID',
+    TELEGRAM_DELETE_FAILED: 'Telegram 消息删除失败: {description}',
+    TELEGRAM_API_FAILED: 'Telegram {method} 失败: {description}',
+    STORAGE_BUSY: '请求过于频繁，请稍后再试',
+    FILE_FETCH_FAILED: '获取文件失败',
+    FILE_PATH_INVALID: '文件路径无效',
+    FILE_DOWNLOAD_FAILED: '下载文件失败',
+    FILE_NOT_FOUND: '文件不存在',
+    FILE_REMOVED_FROM_CHANNEL: '文件已从频道移除',
+    FILE_NAME_INVALID: '文件名无效',
+    URL_INVALID: '无效的URL',
+    NOTE_TOO_LONG: '备注不能超过1000个字符',
+    HOTLINK_BLOCKED: '禁止外链访问',
+    RANGE_INVALID: '请求范围无效',
+    THUMBNAIL_NOT_FOUND: '缩略图不存在',
+    FOLDER_NOT_FOUND: '文件夹不存在',
+    FOLDER_TARGET_NOT_FOUND: '目标文件夹不存在',
+    FOLDER_NAME_INVALID: '文件夹名称不能为空、不能包含“/”且不超过100个字符',
+    FOLDER_NAME_TAKEN: '同一位置已存在同名文件夹',
+    FOLDER_NOT_EMPTY: '文件夹不为空',
+    FOLDER_MOVE_INTO_ITSELF: '不能将文件夹移动到其自身或子文件夹中',
+    NOTHING_TO_MOVE: '未选择要移动的项目',
+    USERNAME_INVALID: '用户名只能包含字母、数字和 _ . @ -',
+    USERNAME_TAKEN: '用户名已存在',
+    USER_NOT_FOUND: '用户不存在',
+    USER_PROTECTED: '不能禁用或降级此管理员账号',
+    NOTHING_TO_UPDATE: '没有要修改的内容',
+    ROLE_INVALID: '无效的角色',
+    PASSWORD_TOO_SHORT: '密码至少需要8个字符',
+    QUOTA_INVALID: '无效的存储配额',
+    FILTER_TYPE_INVALID: '无效的文件类型',
+    FILTER_SIZE_INVALID: '无效的文件大小',
+    FILTER_DATE_INVALID: '无效的日期',
+    FILTER_CHECK_INVALID: '无效的检查状态',
+    SORT_INVALID: '无效的排序方式',
+    ORDER_INVALID: '无效的排序方向',
+    CURSOR_INVALID: '无效的分页游标',
+    NO_FILES_SELECTED: '未选择文件',
+    TOO_MANY_FILES: '一次最多选择{max}个文件',
+    NOT_IN_TRASH: '文件不在回收站中',
+    POST_REQUIRED: '请使用POST请求',
+    ZIP_TOO_LARGE: '所选文件总大小超过4GB，请分批下载',
+    EXPORT_FORMAT_INVALID: '无效的导出格式',
+    IMPORT_CONFLICT_INVALID: '无效的冲突处理方式',
+    IMPORT_EMPTY: '没有可导入的记录',
+    IMPORT_JSON_INVALID: 'JSON格式无效',
+    IMPORT_FILES_MISSING: 'JSON中没有files列表',
+    IMPORT_CSV_KEY_MISSING: 'CSV缺少file_key列',
+    RECORD_INVALID: '无效的记录',
+    RECORD_FIELD_MISSING: '缺少{field}',
+    RECORD_FIELD_INVALID: '无效的{field}',
+    RECORD_KEY_RESERVED: 'file_key为系统保留路径',
+    SHARE_EXPIRY_INVALID: '无效的有效期',
+    SHARE_LIMIT_INVALID: '无效的下载次数',
+    SHARE_PASSWORD_INVALID: '无效的密码',
+    SHARE_NOT_FOUND: '分享链接不存在',
+
+    'api.uploaded': '✔ 上传成功',
+    'api.uploadedDuplicate': '✔ 上传成功（文件已存在）',
+    'api.uploadFailed': '✘ 上传失败',
+    'api.imported': '✔ 导入成功',
+    'api.importedDuplicate': '✔ 导入成功（文件已存在）',
+    'api.mirrorFailed': '（未能镜像到 {chats}，这些频道中没有副本）',
+    'api.importSummary': '导入完成：成功{imported}个，失败{failed}个',
+    'api.fileTrashed': '文件已移入回收站，{days}天后自动清除',
+    'api.fileDeleted': '文件删除成功',
+    'api.fileDeletedTelegramFailed': '文件已从数据库删除，但Telegram消息删除失败: {error}',
+    'api.folderDeleted': '文件夹删除成功',
+    'api.folderDeletedFilesTrashed': '文件夹已删除，{count}个文件已移入回收站',
+    'api.hotlinkPlaceholder': '禁止外链',
+
+    'common.close': '关闭',
+    'common.cancel': '取消',
+    'common.back': '返回',
+    'common.logout': '退出登录',
+    'common.loading': '加载中...',
+    'common.loadFailed': '加载失败: {error}',
+    'common.unknownError': '未知错误',
+    'common.noData': '暂无数据',
+    'common.copied': '已复制到剪贴板',
+    'common.copyFailed': '复制失败，请手动复制',
+    'common.rootFolder': '/ (根目录)',
+    'common.listSeparator': '、',
+    'common.language': '语言',
+
+    'login.title': '登录',
+    'login.username': '用户名',
+    'login.password': '密码',
+
+    'share.title': '文件分享',
+    'share.passwordRequired': '需要密码',
+    'share.password': '访问密码',
+    'share.open': '访问文件',
+    'share.unavailable': '无法访问',
+    'share.notFound': '分享链接不存在或已被撤销',
+    'share.expired': '分享链接已过期',
+    'share.exhausted': '分享链接的下载次数已用完',
+    'share.wrongPassword': '密码错误',
+    'share.locked': '密码尝试次数过多，请{minutes}分钟后再试',
+
+    'view.notFound': '文件不存在或已被删除',
+    'view.uploadedAt': '上传于 {time}',
+    'view.download': '下载',
+    'view.cover': '封面',
+    'view.unsupported': '此类型文件暂不支持在线预览，请下载查看',
+    'view.tooLarge': '文件超过{size}，请下载查看',
+
+    'bot.command.list': '最近上传的文件',
+    'bot.command.search': '搜索文件：/search 关键词',
+    'bot.command.delete': '删除文件：/delete 文件链接',
+    'bot.help': '发送文件、图片、视频或音频即可保存并获取链接。',
+    'bot.notAllowed': '✘ 无权限使用此机器人（用户ID: {id}）',
+    'bot.failed': '✘ 操作失败: {error}',
+    'bot.recent': '最近上传的文件：\n\n{list}',
+    'bot.noFiles': '暂无文件',
+    'bot.searchUsage': '用法：/search 关键词',
+    'bot.searchEmpty': '未找到包含“{query}”的文件',
+    'bot.searchResults': '搜索“{query}”：\n\n{list}',
+    'bot.searchMore': '仅显示前{shown}条，共{total}条',
+    'bot.deleteUsage': '用法：/delete 文件链接',
+    'bot.trashed': '✔ 文件已移入回收站，{days}天内可在管理页面恢复',
+    'bot.tooBig': '✘ 文件超过20MB，Telegram Bot API无法下载此文件，未保存',
+    'bot.saved': '✔ 已保存：{name}\n{url}',
+    'bot.mirrorFailed': '⚠ 未能镜像到{chat}：{error}',
+
+    'upload.title': '文件上传',
+    'upload.admin': '进入管理页面',
+    'upload.dropHint': '点击选择 或 拖拽文件到此处',
+    'upload.slug': '自定义链接（可选，仅用于下一个上传的文件，如 logo）',
+    'upload.expiryTitle': '到期后自动删除',
+    'upload.expiryNever': '永久保存',
+    'upload.expiryHour': '1小时后删除',
+    'upload.expiryDays': '{days}天后删除',
+    'upload.keepOriginal': '原图',
+    'upload.keepOriginalTitle': '图片以文件形式发送，不经Telegram压缩',
+    'upload.importPlaceholder': '粘贴链接，每行一个，由服务器下载后保存',
+    'upload.importButton': '导入链接',
+    'upload.urlsPlaceholder': '上传完成后的链接将显示在这里',
+    'upload.copyUrl': '复制URL',
+    'upload.copyMarkdown': '复制Markdown',
+    'upload.copyHtml': '复制HTML',
+    'upload.quota': '存储空间：已用 {used} / {quota}',
+    'upload.downloading': '下载中...',
+    'upload.badResponse': '✗ 响应解析失败',
+    'upload.networkError': '✗ 网络错误',
+
+    'users.title': '用户管理',
+    'users.username': '用户名',
+    'users.password': '密码（至少8位）',
+    'users.role.admin': '管理员',
+    'users.role.uploader': '上传者',
+    'users.role.viewer': '只读',
+    'users.quota': '配额(MB)，留空不限',
+    'users.create': '创建用户',
+    'users.colRole': '角色',
+    'users.colFiles': '文件数',
+    'users.colUsed': '已用空间',
+    'users.colQuota': '配额(MB)',
+    'users.colCreated': '创建时间',
+    'users.colActions': '操作',
+    'users.disabled': '（已禁用）',
+    'users.unlimited': '不限',
+    'users.resetPassword': '重置密码',
+    'users.enable': '启用',
+    'users.disable': '禁用',
+    'users.newPassword': '新密码（至少8位）',
+    'users.passwordChanged': '密码已修改，该用户需要重新登录',
+    'users.failed': '操作失败: {error}',
+
+    'admin.title': '文件管理',
+    'admin.grid': '卡片',
+    'admin.list': '列表',
+    'admin.shareLinks': '分享链接',
+    'admin.trash': '回收站',
+    'admin.stats': '统计',
+    'admin.apiTokens': 'API令牌',
+    'admin.maintenance': '备份与检查',
+    'admin.setupWebhook': '绑定Bot',
+    'admin.users': '用户管理',
+    'admin.logoutEverywhere': '退出所有设备',
+    'admin.search': '搜索文件...',
+    'admin.allFiles': '全部文件',
+    'admin.folder': '文件夹',
+    'admin.newFolder': '新建文件夹',
+    'admin.trashRetention': '文件保留{days}天后自动清除',
+    'admin.emptyTrash': '清空回收站',
+    'admin.filterAllTypes': '全部类型',
+    'admin.filterImage': '图片',
+    'admin.filterVideo': '视频',
+    'admin.filterAudio': '音频',
+    'admin.filterText': '文本',
+    'admin.filterApplication': '应用/文档',
+    'admin.filterSize': '大小(MB)',
+    'admin.filterMin': '最小',
+    'admin.filterMax': '最大',
+    'admin.filterDate': '日期',
+    'admin.filterTags': '标签，逗号分隔',
+    'admin.filterNote': '备注包含',
+    'admin.filterAnyStatus': '全部状态',
+    'admin.filterProblem': '异常文件',
+    'admin.filterOk': '检查正常',
+    'admin.sortDate': '按日期',
+    'admin.sortName': '按名称',
+    'admin.sortSize': '按大小',
+    'admin.orderDesc': '降序',
+    'admin.orderAsc': '升序',
+    'admin.selectAll': '全选已加载',
+    'admin.noneSelected': '未选择文件',
+    'admin.selected': '已选择 {count} 个文件',
+    'admin.clearSelection': '取消选择',
+    'admin.copyLinks': '复制链接',
+    'admin.downloadZip': '打包下载',
+    'admin.colIndex': '#',
+    'admin.colName': '文件名',
+    'admin.colSize': '大小',
+    'admin.colType': '类型',
+    'admin.colTime': '时间',
+    'admin.colActions': '操作',
+    'admin.share': '分享',
+    'admin.preview': '预览',
+    'admin.download': '下载',
+    'admin.rename': '重命名',
+    'admin.move': '移动',
+    'admin.tags': '标签',
+    'admin.delete': '删除',
+    'admin.restore': '恢复',
+    'admin.deletePermanently': '彻底删除',
+    'admin.check.missing': '已失效',
+    'admin.check.broken': '无法下载',
+    'admin.trashedAt': '删除于 {time}，{days}天后清除',
+    'admin.expiresAt': '{time} 过期',
+    'admin.resultCount': '共 {total} 个结果',
+    'admin.fileCount': '{total} 个文件',
+    'admin.linkView': '预览页',
+    'admin.linkFile': '文件直链',
+    'admin.shareHours': '有效期(小时)',
+    'admin.shareMaxDownloads': '下载次数上限',
+    'admin.sharePassword': '访问密码',
+    'admin.createShareLink': '生成分享链接',
+    'admin.createShareLinkFailed': '生成失败: {error}',
+    'admin.copyLink': '复制链接',
+    'admin.copied': '✔ 已复制',
+    'admin.copiedLinks': '已复制 {count} 个链接',
+    'admin.colFile': '文件',
+    'admin.colCreated': '创建时间',
+    'admin.colExpires': '过期时间',
+    'admin.colDownloads': '下载',
+    'admin.colPassword': '密码',
+    'admin.colStatus': '状态',
+    'admin.never': '永久',
+    'admin.yes': '是',
+    'admin.no': '否',
+    'admin.shareActive': '有效',
+    'admin.shareInactive': '已失效',
+    'admin.qrCode': '二维码',
+    'admin.revoke': '撤销',
+    'admin.noShareLinks': '暂无分享链接',
+    'admin.revokeShareConfirm': '确定要撤销这个分享链接吗？',
+    'admin.revokeFailed': '撤销失败: {error}',
+    'admin.statsTitle': '下载统计',
+    'admin.statsTitleFile': '下载统计 - {name}',
+    'admin.lastDays': '最近{days}天',
+    'admin.dailyTraffic': '每日流量',
+    'admin.topFiles': '下载最多的文件',
+    'admin.colDownloadCount': '下载次数',
+    'admin.colCacheHits': '缓存命中',
+    'admin.colTraffic': '流量',
+    'admin.colLastAccess': '最近访问',
+    'admin.referrers': '来源',
+    'admin.colReferrer': '来源',
+    'admin.directAccess': '直接访问',
+    'admin.statsTotals': '下载 {downloads} 次（缓存命中 {hits} 次），流量 {bytes}',
+    'admin.statsDay': '{day}：{downloads} 次，{bytes}',
+    'admin.tokenName': '令牌名称，如 ShareX',
+    'admin.scope.read': '读取',
+    'admin.scope.upload': '上传',
+    'admin.scope.delete': '删除',
+    'admin.createToken': '创建令牌',
+    'admin.tokenShownOnce': '令牌只显示这一次，请立即保存：',
+    'admin.downloadSharex': '下载ShareX配置',
+    'admin.downloadPicgo': '下载PicGo配置',
+    'admin.colTokenName': '名称',
+    'admin.colToken': '令牌',
+    'admin.colScopes': '权限',
+    'admin.colUser': '用户',
+    'admin.colLastUsed': '最近使用',
+    'admin.neverUsed': '从未',
+    'admin.noTokens': '暂无令牌',
+    'admin.tokenNameRequired': '请输入令牌名称',
+    'admin.tokenScopeRequired': '请至少选择一个权限',
+    'admin.createFailed': '创建失败: {error}',
+    'admin.revokeTokenConfirm': '确定要撤销这个令牌吗？使用它的工具将无法再上传',
+    'admin.exportIndex': '导出索引',
+    'admin.exportJson': '导出JSON',
+    'admin.exportCsv': '导出CSV',
+    'admin.importIndex': '导入索引',
+    'admin.importSkip': '跳过已存在的链接',
+    'admin.importOverwrite': '覆盖已存在的链接',
+    'admin.importRename': '重命名后导入',
+    'admin.import': '导入',
+    'admin.importFileRequired': '请选择要导入的JSON或CSV文件',
+    'admin.importing': '导入中...',
+    'admin.importResult': '共 {total} 条：导入 {imported}（覆盖 {overwritten}，重命名 {renamed}），跳过 {skipped}，失败 {failed}',
+    'admin.importOrphaned': '被覆盖的记录留下 {count} 条不再被引用的Telegram消息（未删除，见接口返回的 orphaned）',
+    'admin.importFailed': '导入失败: {error}',
+    'admin.integrityCheck': '完整性检查',
+    'admin.startCheck': '开始检查',
+    'admin.stopCheck': '停止检查',
+    'admin.showProblemFiles': '查看异常文件',
+    'admin.verifySummary': '共 {total} 个文件：正常 {ok}，已失效 {missing}，无法下载 {broken}，未检查 {unchecked}',
+    'admin.lastChecked': '最近检查：{time}',
+    'admin.verifyProgress': '已检查 {checked} 个，已失效 {missing}，无法下载 {broken}',
+    'admin.verifyErrors': '，{errors} 个暂时无法检查',
+    'admin.verifySkipped': '{skipped} 个文件的分片和副本过多，无法检查，已跳过',
+    'admin.verifyFailed': '检查失败: {error}',
+    'admin.thumbnails': '缩略图',
+    'admin.thumbBackfill': '补全缩略图',
+    'admin.stop': '停止',
+    'admin.thumbPending': '{pending} 个图片/视频/音频文件还没有缩略图记录',
+    'admin.thumbDone': '所有文件的缩略图都已记录',
+    'admin.thumbProgress': '已处理 {processed} 个，找到 {found} 个缩略图',
+    'admin.thumbErrors': '，{errors} 个暂时无法处理',
+    'admin.thumbFailed': '补全失败: {error}',
+    'admin.moveTo': '移动到',
+    'admin.moveFailed': '移动失败: {error}',
+    'admin.deleteSelectedConfirm': '确定要将选中的 {count} 个文件移入回收站吗？',
+    'admin.deleteSelectedPermanentConfirm': '确定要彻底删除选中的 {count} 个文件吗？此操作无法撤销',
+    'admin.deleteConfirm': '确定要将这个文件移入回收站吗？',
+    'admin.deletePermanentConfirm': '确定要彻底删除这个文件吗？此操作无法撤销',
+    'admin.deleteFailed': '删除失败: {error}',
+    'admin.deleteFileFailed': '文件删除失败: {error}',
+    'admin.trashedCount': '已移入回收站 {count} 个文件',
+    'admin.deletedCount': '已删除 {count} 个文件',
+    'admin.failedSuffix': '，{failed} 个失败',
+    'admin.restoreFailed': '恢复失败: {error}',
+    'admin.restoredCount': '已恢复 {restored} 个文件，{failed} 个失败',
+    'admin.emptyTrashConfirm': '确定要清空回收站吗？所有文件将被彻底删除，此操作无法撤销',
+    'admin.emptiedTrash': '已彻底删除 {count} 个文件',
+    'admin.emptyTrashErrors': '{count} 条Telegram消息删除失败: {error}',
+    'admin.emptyTrashFailed': '清空失败（已删除 {count} 个文件）: {error}',
+    'admin.folderName': '文件夹名称',
+    'admin.newFolderName': '新的文件夹名称',
+    'admin.renameFailed': '重命名失败: {error}',
+    'admin.deleteFolderConfirm': '确定要删除这个文件夹吗？',
+    'admin.deleteFolderRecursiveConfirm': '文件夹不为空（{files} 个文件，{folders} 个子文件夹）。确定要全部删除吗？其中的文件会移入回收站。',
+    'admin.tagsPrompt': '标签（逗号分隔，留空清除）',
+    'admin.notePrompt': '备注（留空清除）',
+    'admin.saveFailed': '保存失败: {error}',
+    'admin.newFileName': '新的文件名',
+    'admin.webhookSet': 'Webhook已设置: {url}',
+    'admin.webhookFailed': 'Webhook设置失败: {error}',
+    'admin.logoutEverywhereConfirm': '确定要退出所有设备上的登录吗？',
+    'admin.logoutFailed': '退出失败: {error}'
+  },
+  en: {
+    INTERNAL_ERROR: 'Internal server error',
+    DATABASE_INIT_FAILED: 'Database initialization failed: {error}',
+    FORBIDDEN: 'Permission denied',
+    NOT_LOGGED_IN: 'Not signed in',
+    LOGIN_FAILED: 'Wrong username or password',
+    LOGIN_LOCKED: 'Too many failed sign-ins, try again in {minutes} minutes',
+    SESSION_SECRET_MISSING: 'SESSION_SECRET is not configured',
+    WEBHOOK_SECRET_MISSING: 'TG_WEBHOOK_SECRET is not configured',
+    TOKEN_ROUTE_FORBIDDEN: 'API tokens cannot access this path',
+    TOKEN_INVALID: 'Invalid API token',
+    TOKEN_SCOPE_MISSING: 'The API token lacks the {scope} scope',
+    TOKEN_AUTH_DISABLED: 'API tokens are not needed while sign-in is disabled',
+    TOKEN_NAME_INVALID: 'The token name must be 1 to 100 characters',
+    TOKEN_SCOPE_INVALID: 'Invalid scopes: choose at least one of read, upload, delete',
+    TOKEN_NOT_FOUND: 'Token not found',
+    UPLOADER_CONFIG_INVALID: 'Invalid config type',
+    RATE_LIMITED: 'Too many requests, try again in {seconds} seconds',
+    UPLOAD_FORBIDDEN: 'You are not allowed to upload',
+    UPLOAD_RATE_LIMITED: 'Too many uploads, try again in {seconds} seconds',
+    NO_FILE: 'No file was sent',
+    TOO_MANY_URLS: 'At most {max} links can be imported at once',
+    REMOTE_URL_INVALID: 'Invalid link: {url}',
+    REMOTE_PROTOCOL_UNSUPPORTED: 'Only http and https links are supported',
+    REMOTE_TIMEOUT: 'Cannot reach the link (timed out)',
+    REMOTE_UNREACHABLE: 'Cannot reach the link ({reason})',
+    REMOTE_HTTP_ERROR: 'The remote server returned {status}',
+    REMOTE_TYPE_UNSUPPORTED: 'Unsupported file type: {type}',
+    REMOTE_TOO_LARGE: 'The remote file exceeds the size limit ({limit})',
+    REMOTE_EMPTY: 'The remote file is empty',
+    EXPIRY_INVALID: 'Invalid retention time',
+    QUOTA_EXCEEDED: 'Not enough storage: {used} used of {quota}',
+    SLUG_INVALID: 'Custom links may only contain letters, digits, dots, underscores and hyphens, and must start with a letter or digit',
+    SLUG_RESERVED: 'This link is a reserved path',
+    SLUG_TAKEN: 'This link is already taken',
+    TELEGRAM_LOCAL_FILE_BASE_MISSING: 'The Bot API server runs in local mode, please set TG_LOCAL_FILE_BASE',
+    TELEGRAM_RATE_LIMITED: 'Too many Telegram requests, please try again later',
+    TELEGRAM_SEND_FAILED: 'Telegram rejected the upload, check the bot configuration',
+    TELEGRAM_FILE_ID_MISSING: 'Telegram returned no file ID',
+    TELEGRAM_MESSAGE_ID_MISSING: 'Telegram returned no message ID',
+    TELEGRAM_DELETE_FAILED: 'Deleting the Telegram message failed: {description}',
+    TELEGRAM_API_FAILED: 'Telegram {method} failed: {description}',
+    STORAGE_BUSY: 'Too many requests, please try again later',
+    FILE_FETCH_FAILED: 'Could not get the file',
+    FILE_PATH_INVALID: 'Invalid file path',
+    FILE_DOWNLOAD_FAILED: 'Could not download the file',
+    FILE_NOT_FOUND: 'File not found',
+    FILE_REMOVED_FROM_CHANNEL: 'The file was removed from the channel',
+    FILE_NAME_INVALID: 'Invalid file name',
+    URL_INVALID: 'Invalid URL',
+    NOTE_TOO_LONG: 'Notes cannot be longer than 1000 characters',
+    HOTLINK_BLOCKED: 'Hotlinking is not allowed',
+    RANGE_INVALID: 'Invalid range',
+    THUMBNAIL_NOT_FOUND: 'Thumbnail not found',
+    FOLDER_NOT_FOUND: 'Folder not found',
+    FOLDER_TARGET_NOT_FOUND: 'Target folder not found',
+    FOLDER_NAME_INVALID: 'Folder names must be 1 to 100 characters and cannot contain “/”',
+    FOLDER_NAME_TAKEN: 'A folder with this name already exists here',
+    FOLDER_NOT_EMPTY: 'The folder is not empty',
+    FOLDER_MOVE_INTO_ITSELF: 'A folder cannot be moved into itself or one of its subfolders',
+    NOTHING_TO_MOVE: 'Nothing selected to move',
+    USERNAME_INVALID: 'Usernames may only contain letters, digits and _ . @ -',
+    USERNAME_TAKEN: 'The username already exists',
+    USER_NOT_FOUND: 'User not found',
+    USER_PROTECTED: 'This admin account cannot be disabled or demoted',
+    NOTHING_TO_UPDATE: 'Nothing to change',
+    ROLE_INVALID: 'Invalid role',
+    PASSWORD_TOO_SHORT: 'Passwords need at least 8 characters',
+    QUOTA_INVALID: 'Invalid storage quota',
+    FILTER_TYPE_INVALID: 'Invalid file type',
+    FILTER_SIZE_INVALID: 'Invalid file size',
+    FILTER_DATE_INVALID: 'Invalid date',
+    FILTER_CHECK_INVALID: 'Invalid check status',
+    SORT_INVALID: 'Invalid sort',
+    ORDER_INVALID: 'Invalid sort order',
+    CURSOR_INVALID: 'Invalid cursor',
+    NO_FILES_SELECTED: 'No files selected',
+    TOO_MANY_FILES: 'At most {max} files per request',
+    NOT_IN_TRASH: 'The file is not in the trash',
+    POST_REQUIRED: 'Use a POST request',
+    ZIP_TOO_LARGE: 'The selected files exceed 4GB, please download them in smaller batches',
+    EXPORT_FORMAT_INVALID: 'Invalid export format',
+    IMPORT_CONFLICT_INVALID: 'Invalid conflict mode',
+    IMPORT_EMPTY: 'No records to import',
+    IMPORT_JSON_INVALID: 'Invalid JSON',
+    IMPORT_FILES_MISSING: 'The JSON has no files list',
+    IMPORT_CSV_KEY_MISSING: 'The CSV has no file_key column',
+    RECORD_INVALID: 'Invalid record',
+    RECORD_FIELD_MISSING: 'Missing {field}',
+    RECORD_FIELD_INVALID: 'Invalid {field}',
+    RECORD_KEY_RESERVED: 'file_key is a reserved path',
+    SHARE_EXPIRY_INVALID: 'Invalid expiry',
+    SHARE_LIMIT_INVALID: 'Invalid download limit',
+    SHARE_PASSWORD_INVALID: 'Invalid password',
+    SHARE_NOT_FOUND: 'Share link not found',
+
+    'api.uploaded': '✔ Uploaded',
+    'api.uploadedDuplicate': '✔ Uploaded (file already exists)',
+    'api.uploadFailed': '✘ Upload failed',
+    'api.imported': '✔ Imported',
+    'api.importedDuplicate': '✔ Imported (file already exists)',
+    'api.mirrorFailed': '(could not mirror to {chats}; there is no copy in those chats)',
+    'api.importSummary': 'Import finished: {imported} succeeded, {failed} failed',
+    'api.fileTrashed': 'Moved to the trash, removed for good in {days} days',
+    'api.fileDeleted': 'File deleted',
+    'api.fileDeletedTelegramFailed': 'Removed from the index, but deleting the Telegram message failed: {error}',
+    'api.folderDeleted': 'Folder deleted',
+    'api.folderDeletedFilesTrashed': 'Folder deleted, {count} files moved to the trash',
+    'api.hotlinkPlaceholder': 'Hotlinking blocked',
+
+    'common.close': 'Close',
+    'common.cancel': 'Cancel',
+    'common.back': 'Back',
+    'common.logout': 'Sign out',
+    'common.loading': 'Loading...',
+    'common.loadFailed': 'Failed to load: {error}',
+    'common.unknownError': 'Unknown error',
+    'common.noData': 'No data',
+    'common.copied': 'Copied to the clipboard',
+    'common.copyFailed': 'Copy failed, please copy it manually',
+    'common.rootFolder': '/ (root)',
+    'common.listSeparator': ', ',
+    'common.language': 'Language',
+
+    'login.title': 'Sign in',
+    'login.username': 'Username',
+    'login.password': 'Password',
+
+    'share.title': 'Shared file',
+    'share.passwordRequired': 'Password required',
+    'share.password': 'Password',
+    'share.open': 'Open file',
+    'share.unavailable': 'Unavailable',
+    'share.notFound': 'This share link does not exist or was revoked',
+    'share.expired': 'This share link has expired',
+    'share.exhausted': 'This share link has reached its download limit',
+    'share.wrongPassword': 'Wrong password',
+    'share.locked': 'Too many password attempts, try again in {minutes} minutes',
+
+    'view.notFound': 'The file does not exist or was deleted',
+    'view.uploadedAt': 'Uploaded {time}',
+    'view.download': 'Download',
+    'view.cover': 'Cover',
+    'view.unsupported': 'This file type cannot be previewed, please download it',
+    'view.tooLarge': 'The file is larger than {size}, please download it',
+
+    'bot.command.list': 'Recently uploaded files',
+    'bot.command.search': 'Search files: /search keyword',
+    'bot.command.delete': 'Delete a file: /delete file link',
+    'bot.help': 'Send a file, photo, video or audio to save it and get a link.',
+    'bot.notAllowed': '✘ You are not allowed to use this bot (user ID: {id})',
+    'bot.failed': '✘ Failed: {error}',
+    'bot.recent': 'Recently uploaded files:\n\n{list}',
+    'bot.noFiles': 'No files yet',
+    'bot.searchUsage': 'Usage: /search keyword',
+    'bot.searchEmpty': 'No files matching “{query}”',
+    'bot.searchResults': 'Search “{query}”:\n\n{list}',
+    'bot.searchMore': 'Showing the first {shown} of {total}',
+    'bot.deleteUsage': 'Usage: /delete file link',
+    'bot.trashed': '✔ Moved to the trash; it can be restored from the admin page within {days} days',
+    'bot.tooBig': '✘ The file is larger than 20MB, which the Telegram Bot API cannot download; it was not saved',
+    'bot.saved': '✔ Saved: {name}\n{url}',
+    'bot.mirrorFailed': '⚠ Could not mirror to {chat}: {error}',
+
+    'upload.title': 'Upload files',
+    'upload.admin': 'Manage files',
+    'upload.dropHint': 'Click to choose files or drop them here',
+    'upload.slug': 'Custom link (optional, for the next upload only, e.g. logo)',
+    'upload.expiryTitle': 'Delete automatically when expired',
+    'upload.expiryNever': 'Keep forever',
+    'upload.expiryHour': 'Delete after 1 hour',
+    'upload.expiryDays': 'Delete after {days} days',
+    'upload.keepOriginal': 'Original',
+    'upload.keepOriginalTitle': 'Send images as files so Telegram does not recompress them',
+    'upload.importPlaceholder': 'Paste links, one per line; the server downloads and saves them',
+    'upload.importButton': 'Import links',
+    'upload.urlsPlaceholder': 'Links of uploaded files appear here',
+    'upload.copyUrl': 'Copy URL',
+    'upload.copyMarkdown': 'Copy Markdown',
+    'upload.copyHtml': 'Copy HTML',
+    'upload.quota': 'Storage: {used} of {quota} used',
+    'upload.downloading': 'Downloading...',
+    'upload.badResponse': '✗ Could not read the response',
+    'upload.networkError': '✗ Network error',
+
+    'users.title': 'Users',
+    'users.username': 'Username',
+    'users.password': 'Password (at least 8 characters)',
+    'users.role.admin': 'Admin',
+    'users.role.uploader': 'Uploader',
+    'users.role.viewer': 'Viewer',
+    'users.quota': 'Quota (MB), empty for unlimited',
+    'users.create': 'Create user',
+    'users.colRole': 'Role',
+    'users.colFiles': 'Files',
+    'users.colUsed': 'Used',
+    'users.colQuota': 'Quota (MB)',
+    'users.colCreated': 'Created',
+    'users.colActions': 'Actions',
+    'users.disabled': ' (disabled)',
+    'users.unlimited': 'Unlimited',
+    'users.resetPassword': 'Reset password',
+    'users.enable': 'Enable',
+    'users.disable': 'Disable',
+    'users.newPassword': 'New password (at least 8 characters)',
+    'users.passwordChanged': 'Password changed, the user has to sign in again',
+    'users.failed': 'Failed: {error}',
+
+    'admin.title': 'File manager',
+    'admin.grid': 'Grid',
+    'admin.list': 'List',
+    'admin.shareLinks': 'Share links',
+    'admin.trash': 'Trash',
+    'admin.stats': 'Statistics',
+    'admin.apiTokens': 'API tokens',
+    'admin.maintenance': 'Backup and check',
+    'admin.setupWebhook': 'Connect bot',
+    'admin.users': 'Users',
+    'admin.logoutEverywhere': 'Sign out everywhere',
+    'admin.search': 'Search files...',
+    'admin.allFiles': 'All files',
+    'admin.folder': 'Folder',
+    'admin.newFolder': 'New folder',
+    'admin.trashRetention': 'Files are removed for good after {days} days',
+    'admin.emptyTrash': 'Empty trash',
+    'admin.filterAllTypes': 'All types',
+    'admin.filterImage': 'Images',
+    'admin.filterVideo': 'Videos',
+    'admin.filterAudio': 'Audio',
+    'admin.filterText': 'Text',
+    'admin.filterApplication': 'Apps/documents',
+    'admin.filterSize': 'Size (MB)',
+    'admin.filterMin': 'Min',
+    'admin.filterMax': 'Max',
+    'admin.filterDate': 'Date',
+    'admin.filterTags': 'Tags, comma-separated',
+    'admin.filterNote': 'Note contains',
+    'admin.filterAnyStatus': 'Any status',
+    'admin.filterProblem': 'Problem files',
+    'admin.filterOk': 'Checked OK',
+    'admin.sortDate': 'By date',
+    'admin.sortName': 'By name',
+    'admin.sortSize': 'By size',
+    'admin.orderDesc': 'Descending',
+    'admin.orderAsc': 'Ascending',
+    'admin.selectAll': 'Select all loaded',
+    'admin.noneSelected': 'No files selected',
+    'admin.selected': '{count} files selected',
+    'admin.clearSelection': 'Clear selection',
+    'admin.copyLinks': 'Copy links',
+    'admin.downloadZip': 'Download ZIP',
+    'admin.colIndex': '#',
+    'admin.colName': 'Name',
+    'admin.colSize': 'Size',
+    'admin.colType': 'Type',
+    'admin.colTime': 'Time',
+    'admin.colActions': 'Actions',
+    'admin.share': 'Share',
+    'admin.preview': 'Preview',
+    'admin.download': 'Download',
+    'admin.rename': 'Rename',
+    'admin.move': 'Move',
+    'admin.tags': 'Tags',
+    'admin.delete': 'Delete',
+    'admin.restore': 'Restore',
+    'admin.deletePermanently': 'Delete permanently',
+    'admin.check.missing': 'Missing',
+    'admin.check.broken': 'Broken',
+    'admin.trashedAt': 'Deleted {time}, removed in {days} days',
+    'admin.expiresAt': 'Expires {time}',
+    'admin.resultCount': '{total} results',
+    'admin.fileCount': '{total} files',
+    'admin.linkView': 'Preview page',
+    'admin.linkFile': 'Direct link',
+    'admin.shareHours': 'Valid for (hours)',
+    'admin.shareMaxDownloads': 'Download limit',
+    'admin.sharePassword': 'Password',
+    'admin.createShareLink': 'Create share link',
+    'admin.createShareLinkFailed': 'Could not create the link: {error}',
+    'admin.copyLink': 'Copy link',
+    'admin.copied': '✔ Copied',
+    'admin.copiedLinks': 'Copied {count} links',
+    'admin.colFile': 'File',
+    'admin.colCreated': 'Created',
+    'admin.colExpires': 'Expires',
+    'admin.colDownloads': 'Downloads',
+    'admin.colPassword': 'Password',
+    'admin.colStatus': 'Status',
+    'admin.never': 'Never',
+    'admin.yes': 'Yes',
+    'admin.no': 'No',
+    'admin.shareActive': 'Active',
+    'admin.shareInactive': 'Inactive',
+    'admin.qrCode': 'QR code',
+    'admin.revoke': 'Revoke',
+    'admin.noShareLinks': 'No share links',
+    'admin.revokeShareConfirm': 'Revoke this share link?',
+    'admin.revokeFailed': 'Could not revoke: {error}',
+    'admin.statsTitle': 'Download statistics',
+    'admin.statsTitleFile': 'Download statistics - {name}',
+    'admin.lastDays': 'Last {days} days',
+    'admin.dailyTraffic': 'Daily traffic',
+    'admin.topFiles': 'Most downloaded files',
+    'admin.colDownloadCount': 'Downloads',
+    'admin.colCacheHits': 'Cache hits',
+    'admin.colTraffic': 'Traffic',
+    'admin.colLastAccess': 'Last access',
+    'admin.referrers': 'Referrers',
+    'admin.colReferrer': 'Referrer',
+    'admin.directAccess': 'Direct',
+    'admin.statsTotals': '{downloads} downloads ({hits} from cache), {bytes} transferred',
+    'admin.statsDay': '{day}: {downloads} downloads, {bytes}',
+    'admin.tokenName': 'Token name, e.g. ShareX',
+    'admin.scope.read': 'Read',
+    'admin.scope.upload': 'Upload',
+    'admin.scope.delete': 'Delete',
+    'admin.createToken': 'Create token',
+    'admin.tokenShownOnce': 'The token is shown only this once, save it now:',
+    'admin.downloadSharex': 'Download ShareX config',
+    'admin.downloadPicgo': 'Download PicGo config',
+    'admin.colTokenName': 'Name',
+    'admin.colToken': 'Token',
+    'admin.colScopes': 'Scopes',
+    'admin.colUser': 'User',
+    'admin.colLastUsed': 'Last used',
+    'admin.neverUsed': 'Never',
+    'admin.noTokens': 'No tokens',
+    'admin.tokenNameRequired': 'Enter a token name',
+    'admin.tokenScopeRequired': 'Choose at least one scope',
+    'admin.createFailed': 'Could not create: {error}',
+    'admin.revokeTokenConfirm': 'Revoke this token? Tools using it will no longer be able to upload',
+    'admin.exportIndex': 'Export index',
+    'admin.exportJson': 'Export JSON',
+    'admin.exportCsv': 'Export CSV',
+    'admin.importIndex': 'Import index',
+    'admin.importSkip': 'Skip existing links',
+    'admin.importOverwrite': 'Overwrite existing links',
+    'admin.importRename': 'Import under a new name',
+    'admin.import': 'Import',
+    'admin.importFileRequired': 'Choose a JSON or CSV file to import',
+    'admin.importing': 'Importing...',
+    'admin.importResult': '{total} records: {imported} imported ({overwritten} overwritten, {renamed} renamed), {skipped} skipped, {failed} failed',
+    'admin.importOrphaned': 'Overwritten records left {count} Telegram messages nothing points at any more (not deleted, see orphaned in the API response)',
+    'admin.importFailed': 'Import failed: {error}',
+    'admin.integrityCheck': 'Integrity check',
+    'admin.startCheck': 'Start check',
+    'admin.stopCheck': 'Stop check',
+    'admin.showProblemFiles': 'Show problem files',
+    'admin.verifySummary': '{total} files: {ok} OK, {missing} missing, {broken} broken, {unchecked} unchecked',
+    'admin.lastChecked': 'Last checked: {time}',
+    'admin.verifyProgress': 'Checked {checked}: {missing} missing, {broken} broken',
+    'admin.verifyErrors': ', {errors} could not be checked right now',
+    'admin.verifySkipped': '{skipped} files have too many parts and copies to check and were skipped',
+    'admin.verifyFailed': 'Check failed: {error}',
+    'admin.thumbnails': 'Thumbnails',
+    'admin.thumbBackfill': 'Fill in thumbnails',
+    'admin.stop': 'Stop',
+    'admin.thumbPending': '{pending} image/video/audio files have no thumbnail record yet',
+    'admin.thumbDone': 'Thumbnails are recorded for all files',
+    'admin.thumbProgress': 'Processed {processed}, found {found} thumbnails',
+    'admin.thumbErrors': ', {errors} could not be processed right now',
+    'admin.thumbFailed': 'Backfill failed: {error}',
+    'admin.moveTo': 'Move to',
+    'admin.moveFailed': 'Could not move: {error}',
+    'admin.deleteSelectedConfirm': 'Move the {count} selected files to the trash?',
+    'admin.deleteSelectedPermanentConfirm': 'Permanently delete the {count} selected files? This cannot be undone',
+    'admin.deleteConfirm': 'Move this file to the trash?',
+    'admin.deletePermanentConfirm': 'Permanently delete this file? This cannot be undone',
+    'admin.deleteFailed': 'Could not delete: {error}',
+    'admin.deleteFileFailed': 'Could not delete the file: {error}',
+    'admin.trashedCount': 'Moved {count} files to the trash',
+    'admin.deletedCount': 'Deleted {count} files',
+    'admin.failedSuffix': ', {failed} failed',
+    'admin.restoreFailed': 'Could not restore: {error}',
+    'admin.restoredCount': 'Restored {restored} files, {failed} failed',
+    'admin.emptyTrashConfirm': 'Empty the trash? All files in it are deleted for good, this cannot be undone',
+    'admin.emptiedTrash': 'Permanently deleted {count} files',
+    'admin.emptyTrashErrors': '{count} Telegram messages could not be deleted: {error}',
+    'admin.emptyTrashFailed': 'Emptying the trash failed ({count} files deleted): {error}',
+    'admin.folderName': 'Folder name',
+    'admin.newFolderName': 'New folder name',
+    'admin.renameFailed': 'Could not rename: {error}',
+    'admin.deleteFolderConfirm': 'Delete this folder?',
+    'admin.deleteFolderRecursiveConfirm': 'The folder is not empty ({files} files, {folders} subfolders). Delete everything? Its files are moved to the trash.',
+    'admin.tagsPrompt': 'Tags (comma-separated, empty to clear)',
+    'admin.notePrompt': 'Note (empty to clear)',
+    'admin.saveFailed': 'Could not save: {error}',
+    'admin.newFileName': 'New file name',
+    'admin.webhookSet': 'Webhook set: {url}',
+    'admin.webhookFailed': 'Could not set the webhook: {error}',
+    'admin.logoutEverywhereConfirm': 'Sign out on all devices?',
+    'admin.logoutFailed': 'Sign-out failed: {error}'
   }
-}
+};
 
-// -------- Delete --------
-async function handleDeleteRequest(request, config) {
-  if (config.enableAuth && !authenticate(request, config)) {
-    return Response.redirect(`${new URL(request.url).origin}/`, 302);
+// The language switcher's cookie, then the best Accept-Language match; DEFAULT_LOCALE otherwise
+function getRequestLocale(request) {
+  const cookie = (request.headers.get('Cookie') || '').match(new RegExp(`(?:^|;\\s*)${LOCALE_COOKIE}=([^;]+)`));
+  if (cookie && LOCALES.includes(cookie[1])) return cookie[1];
+  const accepted = (request.headers.get('Accept-Language') || '').split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return { language: tag.toLowerCase().split('-')[0], q: q ? Number(q[1]) : 1 };
+    })
+    .filter(entry => entry.language && entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+  for (const { language } of accepted) {
+    const locale = LOCALES.find(candidate => candidate.toLowerCase().split('-')[0] === language);
+    if (locale) return locale;
   }
-  try {
-    const { url } = await request.json();
-    if (!url || typeof url !== 'string') {
-      return new Response(JSON.stringify({ error: '无效的URL' }), { status: 400, headers: { "Content-Type": "application/json" } });
-    }
-    const file = await config.database.prepare('SELECT fileId, message_id FROM files WHERE url = ?').bind(url).first();
-    if (!file) return new Response(JSON.stringify({ error: '文件不存在' }), { status: 404, headers: { "Content-Type": "application/json" } });
+  return DEFAULT_LOCALE;
+}
 
-    let deleteError = null;
-    try {
-      const resp = await fetch(`https://api.telegram.org/bot${config.tgBotToken}/deleteMessage?chat_id=${config.tgChatId}&message_id=${file.message_id}`);
-      if (!resp.ok) {
-        const errorData = await resp.json();
-        throw new Error(`Telegram 消息删除失败: ${errorData.description}`);
-      }
-    } catch (e) { deleteError = e.message; }
+function translate(locale, key, params = {}) {
+  const text = MESSAGES[locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+}
 
-    await config.database.prepare('DELETE FROM files WHERE url = ?').bind(url).run();
-    return new Response(JSON.stringify({ success: true, message: deleteError ? `文件已从数据库删除，但Telegram消息删除失败: ${deleteError}` : '文件删除成功' }), { headers: { "Content-Type": "application/json" } });
-  } catch (error) {
-    return new Response(JSON.stringify({ error: error.message.includes('message to delete not found') ? '文件已从频道移除' : error.message }), { status: 500, headers: { "Content-Type": "application/json" } });
-  }
+// An error with a stable code; the message is in the default locale, localizeError translates it per request
+function apiError(status, code, params) {
+  return Object.assign(new Error(translate(DEFAULT_LOCALE, code, params)), { status, code, params });
 }
 
-// -------- Utils --------
-function getPreviewHtml(url) {
-  const ext = (url.split('.').pop() || '').toLowerCase();
-  const isImage = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'icon'].includes(ext);
-  const isVideo = ['mp4', 'webm'].includes(ext);
-  const isAudio = ['mp3', 'wav', 'ogg'].includes(ext);
-  if (isImage) return `<img src="${url}" alt="预览">`;
-  if (isVideo) return `<video src="${url}" controls></video>`;
-  if (isAudio) return `<audio src="${url}" controls></audio>`;
-  return `<div style="font-size: 48px">📄</div>`;
+// Unexpected errors keep their raw message under INTERNAL_ERROR
+function localizeError(config, error) {
+  return error.code ? translate(config.locale, error.code, error.params) : error.message;
 }
 
-function formatSize(bytes) {
-  const units = ['B', 'KB', 'MB', 'GB'];
-  let size = bytes;
-  let unitIndex = 0;
-  while (size >= 1024 && unitIndex < units.length - 1) { size /= 1024; unitIndex++; }
-  return `${size.toFixed(2)} ${units[unitIndex]}`;
+function errorBody(config, error) {
+  return { error: localizeError(config, error), code: error.code || 'INTERNAL_ERROR' };
 }
 
-function getContentType(ext) {
-  const types = {
-    jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml', icon: 'image/x-icon',
-    mp4: 'video/mp4', webm: 'video/webm', mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg',
-    pdf: 'application/pdf', txt: 'text/plain', md: 'text/markdown',
-    zip: 'application/zip', rar: 'application/x-rar-compressed',
-    json: 'application/json', xml: 'application/xml', ini: 'text/plain',
-    js: 'application/javascript', yml: 'application/yaml', yaml: 'application/yaml',
-    py: 'text/x-python', sh: 'application/x-sh'
-  };
-  return types[ext] || 'application/octet-stream';
+function errorResponse(config, error, status = error.status || 500, headers = {}) {
+  return new Response(JSON.stringify(errorBody(config, error)), { status, headers: { "Content-Type": "application/json", ...headers } });
 }
 
-function escapeHtml(str) {
-  return (str || '').replace(/[&<>"']/g, s => ({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' }[s]));
+// The page strings under the given key prefixes plus a t(key, params) for the page's script
+function clientI18nScript(locale, ...prefixes) {
+  const keys = Object.keys(MESSAGES[DEFAULT_LOCALE]).filter(key => prefixes.some(prefix => key.startsWith(prefix)));
+  const messages = Object.fromEntries(keys.map(key => [key, translate(locale, key)]));
+  return `const I18N = ${jsonForScript(messages)};
+      function t(key, params){ return (I18N[key] || key).replace(/\\{(\\w+)\\}/g, (match, name) => params && params[name] !== undefined ? params[name] : match); }`;
+}
+
+function localeSwitcher(locale) {
+  const options = LOCALES.map(value => `<option value="${value}"${value === locale ? ' selected' : ''}>${LOCALE_NAMES[value]}</option>`).join('');
+  return `<select class="lang-select" title="${translate(locale, 'common.language')}" style="padding:6px; border:1px solid #ddd; border-radius:4px; background:#fff;"
+    onchange="document.cookie = '${LOCALE_COOKIE}=' + this.value + '; Path=/; Max-Age=31536000; SameSite=Lax'; location.reload()">${options}</select>`;
 }
 
 // -------- Pages --------
-function generateLoginPage() {
+function generateLoginPage(locale) {
+  const t = (key, params) => translate(locale, key, params);
   return `<!DOCTYPE html>
-  <html lang="zh-CN">
+  <html lang="${locale}">
   <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>登录</title>
+    <title>${t('login.title')}</title>
     <style>
       body { display:flex; justify-content:center; align-items:center; height:100vh; margin:0; background:#f5f5f5; font-family:Arial, sans-serif; }
       .login-container { background:#fff; padding:20px; border-radius:8px; box-shadow:0 2px 10px rgba(0,0,0,0.08); width:100%; max-width:400px; }
@@ -374,17 +4726,20 @@ function generateLoginPage() {
       button { width:100%; padding:0.75rem; background:#007bff; color:#fff; border:none; border-radius:4px; font-size:1rem; cursor:pointer; margin-bottom:10px; }
       button:hover { background:#0056b3; }
       .error { color:#dc3545; margin-top:1rem; display:none; }
+      .lang { text-align:center; }
+      .lang select { width:auto; }
     </style>
   </head>
   <body>
     <div class="login-container">
-      <h2 style="text-align:center; margin-bottom:2rem;">登录</h2>
+      <h2 style="text-align:center; margin-bottom:2rem;">${t('login.title')}</h2>
       <form id="loginForm">
-        <div class="form-group"><input type="text" id="username" placeholder="用户名" required></div>
-        <div class="form-group"><input type="password" id="password" placeholder="密码" required></div>
-        <button type="submit">登录</button>
-        <div id="error" class="error">用户名或密码错误</div>
+        <div class="form-group"><input type="text" id="username" placeholder="${t('login.username')}" required></div>
+        <div class="form-group"><input type="password" id="password" placeholder="${t('login.password')}" required></div>
+        <button type="submit">${t('login.title')}</button>
+        <div id="error" class="error">${t('LOGIN_FAILED')}</div>
       </form>
+      <div class="lang">${localeSwitcher(locale)}</div>
     </div>
     <script>
       document.getElementById('loginForm').addEventListener('submit', async (e) => {
@@ -393,7 +4748,11 @@ function generateLoginPage() {
         const password = document.getElementById('password').value;
         try {
           const response = await fetch('/', { method:'POST', headers:{ 'Content-Type': 'application/json' }, body: JSON.stringify({ username, password }) });
-          if (response.ok) window.location.href = '/upload'; else document.getElementById('error').style.display = 'block';
+          if (response.ok) { window.location.href = '/upload'; return; }
+          const error = document.getElementById('error');
+          const data = await response.json().catch(() => ({}));
+          if (data.error) error.textContent = data.error;
+          error.style.display = 'block';
         } catch { document.getElementById('error').style.display = 'block'; }
       });
     </script>
@@ -401,19 +4760,184 @@ function generateLoginPage() {
   </html>`;
 }
 
-function generateUploadPage() {
+// Landing page of /s/<token> when the link needs a password or can no longer be used
+function generateSharePage(locale, { fileName, passwordRequired, error, message }) {
+  const t = (key, params) => translate(locale, key, params);
+  return `<!DOCTYPE html>
+  <html lang="${locale}">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${t('share.title')}</title>
+    <style>
+      body { display:flex; justify-content:center; align-items:center; height:100vh; margin:0; background:#f5f5f5; font-family:Arial, sans-serif; }
+      .login-container { background:#fff; padding:20px; border-radius:8px; box-shadow:0 2px 10px rgba(0,0,0,0.08); width:100%; max-width:400px; text-align:center; }
+      .file-name { color:#666; word-break:break-all; margin-bottom:1.5rem; }
+      .form-group { margin-bottom:1rem; }
+      input { width:100%; padding:0.75rem; border:1px solid #ddd; border-radius:4px; font-size:1rem; box-sizing:border-box; }
+      button { width:100%; padding:0.75rem; background:#007bff; color:#fff; border:none; border-radius:4px; font-size:1rem; cursor:pointer; margin-bottom:10px; }
+      button:hover { background:#0056b3; }
+      .error { color:#dc3545; margin-top:1rem; }
+    </style>
+  </head>
+  <body>
+    <div class="login-container">
+      ${passwordRequired ? `
+      <h2>${t('share.passwordRequired')}</h2>
+      <div class="file-name">${escapeHtml(fileName)}</div>
+      <form method="POST">
+        <div class="form-group"><input type="password" name="password" placeholder="${t('share.password')}" required autofocus></div>
+        <button type="submit">${t('share.open')}</button>
+        ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+      </form>` : `
+      <h2>${t('share.unavailable')}</h2>
+      <div class="error">${escapeHtml(message)}</div>`}
+    </div>
+  </body>
+  </html>`;
+}
+
+// Preview page for /view/; text and Markdown are loaded and rendered in the browser (Markdown through
+// DOMPurify, since the page shares its origin with the admin pages)
+function generateViewPage(locale, file) {
+  const t = (key, params) => translate(locale, key, params);
+  const name = file.file_name || file.file_key;
+  const viewer = getViewerType(file);
+  const ext = getFileExtension(file.file_name) || getFileExtension(file.file_key);
+  const uploadedAt = file.created_at ? file.created_at.replace('T', ' ').split('.')[0] : '';
+  const description = [formatSize(file.file_size || 0), uploadedAt && t('view.uploadedAt', { time: uploadedAt }), file.mime_type].filter(Boolean).join(' · ');
+  const image = viewer === 'image' ? file.thumb_url || file.url : file.thumb_url;
+  const textual = viewer === 'text' || viewer === 'markdown';
+  const tooLarge = textual && (file.file_size || 0) > VIEW_TEXT_MAX_SIZE;
+  const url = escapeHtml(file.url);
+  const viewers = {
+    image: `<img src="${url}" alt="${escapeHtml(name)}">`,
+    video: `<video src="${url}" controls preload="metadata"${file.thumb_url ? ` poster="${escapeHtml(file.thumb_url)}"` : ''}></video>`,
+    audio: `${file.thumb_url ? `<img class="cover" src="${escapeHtml(file.thumb_url)}" alt="${t('view.cover')}">` : ''}<audio src="${url}" controls preload="metadata"></audio>`,
+    pdf: `<iframe src="${url}" title="${escapeHtml(name)}"></iframe>`,
+    none: `<div class="icon">📄</div><p>${t('view.unsupported')}</p>`
+  };
+  const body = textual
+    ? (tooLarge ? `<div class="icon">📄</div><p>${t('view.tooLarge', { size: formatSize(VIEW_TEXT_MAX_SIZE) })}</p>` : `<div id="textViewer" class="text-viewer">${t('common.loading')}</div>`)
+    : viewers[viewer];
+  return `<!DOCTYPE html>
+  <html lang="${locale}">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(name)}</title>
+    <meta name="description" content="${escapeHtml(description)}">
+    <meta property="og:title" content="${escapeHtml(name)}">
+    <meta property="og:description" content="${escapeHtml(description)}">
+    <meta property="og:url" content="${escapeHtml(file.view_url)}">
+    <meta property="og:type" content="${viewer === 'video' ? 'video.other' : 'website'}">
+    ${image ? `<meta property="og:image" content="${escapeHtml(image)}">` : ''}
+    ${viewer === 'video' ? `<meta property="og:video" content="${url}">
+    <meta property="og:video:type" content="${escapeHtml(file.mime_type)}">` : ''}
+    ${viewer === 'audio' ? `<meta property="og:audio" content="${url}">` : ''}
+    <meta name="twitter:card" content="${viewer === 'image' ? 'summary_large_image' : 'summary'}">
+    <meta name="twitter:title" content="${escapeHtml(name)}">
+    <meta name="twitter:description" content="${escapeHtml(description)}">
+    ${image ? `<meta name="twitter:image" content="${escapeHtml(image)}">` : ''}
+    ${textual && !tooLarge ? `<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/@highlightjs/cdn-assets@11.9.0/styles/github.min.css">` : ''}
+    <style>
+      body { font-family:Arial, sans-serif; margin:0; padding:20px; background:#f5f5f5; }
+      .container { max-width:1000px; margin:0 auto; }
+      .header { background:#fff; padding:20px 30px; border-radius:8px; box-shadow:0 2px 10px rgba(0,0,0,0.08); margin-bottom:20px; display:flex; align-items:center; gap:20px; }
+      .header .info { flex:1; min-width:0; }
+      .header h2 { margin:0 0 6px; word-break:break-all; font-size:20px; }
+      .meta { color:#666; font-size:14px; }
+      .btn { padding:8px 16px; border-radius:4px; background:#007bff; color:#fff; text-decoration:none; white-space:nowrap; }
+      .viewer { background:#fff; border-radius:8px; box-shadow:0 2px 10px rgba(0,0,0,0.08); padding:20px; text-align:center; }
+      .viewer img, .viewer video { max-width:100%; max-height:80vh; }
+      .viewer img.cover { display:block; margin:0 auto 15px; max-height:300px; }
+      .viewer audio { width:100%; }
+      .viewer iframe { width:100%; height:80vh; border:none; }
+      .viewer .icon { font-size:64px; opacity:0.4; }
+      .viewer p { color:#666; }
+      .text-viewer { text-align:left; overflow:auto; }
+      .text-viewer pre { margin:0; font-size:13px; }
+      .text-viewer pre code.hljs { padding:12px; border-radius:6px; }
+      .markdown-body { line-height:1.6; }
+      .markdown-body img { max-width:100%; }
+      .markdown-body pre { background:#f6f8fa; border-radius:6px; overflow:auto; }
+      .markdown-body table { border-collapse:collapse; }
+      .markdown-body th, .markdown-body td { border:1px solid #ddd; padding:6px 12px; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <div class="info">
+          <h2>${escapeHtml(name)}</h2>
+          <div class="meta">${escapeHtml(description)}</div>
+        </div>
+        <a class="btn" href="${url}" download="${escapeHtml(name)}">${t('view.download')}</a>
+      </div>
+      <div class="viewer">${body}</div>
+    </div>
+    ${textual && !tooLarge ? `<script src="https://cdn.jsdelivr.net/npm/@highlightjs/cdn-assets@11.9.0/highlight.min.js"></script>
+    ${viewer === 'markdown' ? `<script src="https://cdn.jsdelivr.net/npm/marked@12.0.2/marked.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/dompurify@3.1.6/dist/purify.min.js"></script>` : ''}
+    <script>
+      ${clientI18nScript(locale, 'common.loadFailed')}
+      const FILE = ${jsonForScript({ url: file.url, ext, viewer })};
+      (async () => {
+        const el = document.getElementById('textViewer');
+        try {
+          const res = await fetch(FILE.url);
+          if (!res.ok) throw new Error(res.status);
+          const text = await res.text();
+          if (FILE.viewer === 'markdown') {
+            el.className = 'text-viewer markdown-body';
+            el.innerHTML = DOMPurify.sanitize(marked.parse(text));
+            el.querySelectorAll('pre code').forEach(block => hljs.highlightElement(block));
+          } else {
+            // Unknown languages stay plain: auto-detection is slow on large files
+            const code = document.createElement('code');
+            code.className = 'language-' + (hljs.getLanguage(FILE.ext) ? FILE.ext : 'plaintext');
+            code.textContent = text;
+            const pre = document.createElement('pre');
+            pre.appendChild(code);
+            el.replaceChildren(pre);
+            hljs.highlightElement(code);
+          }
+        } catch (e) {
+          el.textContent = t('common.loadFailed', { error: e.message });
+        }
+      })();
+    </script>` : ''}
+  </body>
+  </html>`;
+}
+
+function generateUploadPage(locale, enableAuth, keepOriginal) {
+  const t = (key, params) => translate(locale, key, params);
   return `<!DOCTYPE html>
-  <html lang="zh-CN">
+  <html lang="${locale}">
   <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>文件上传</title>
+    <title>${t('upload.title')}</title>
     <style>
       body { font-family:Arial, sans-serif; display:flex; justify-content:center; align-items:center; height:100vh; background:#f5f5f5; margin:0; }
       .container { max-width:800px; width:100%; background:#fff; padding:10px 40px 20px 40px; border-radius:8px; box-shadow:0 2px 10px rgba(0,0,0,0.08); overflow-y:auto; max-height:90vh; }
       .header { display:flex; justify-content:space-between; align-items:center; margin-bottom:10px; }
       .upload-area { border:2px dashed #666; padding:40px; text-align:center; margin:0 auto; border-radius:8px; transition:all 0.3s; box-sizing:border-box; }
       .upload-area.dragover { border-color:#007bff; background:#f8f9fa; }
+      .quota { display:none; margin-bottom:10px; font-size:13px; color:#666; }
+      .quota-bar { height:6px; background:#eee; border-radius:3px; overflow:hidden; margin-top:4px; }
+      .quota-bar div { height:100%; background:#007bff; width:0; }
+      .quota.full .quota-bar div { background:#dc3545; }
+      .slug-area { margin-top:10px; display:flex; gap:10px; }
+      .slug-area input { flex:1; padding:8px; border:1px solid #ddd; border-radius:4px; box-sizing:border-box; }
+      .slug-area select { max-width:40%; padding:8px; border:1px solid #ddd; border-radius:4px; }
+      .slug-area label { display:flex; align-items:center; gap:4px; white-space:nowrap; font-size:14px; }
+      .import-area { margin-top:10px; display:flex; gap:10px; align-items:flex-start; }
+      .import-area textarea { flex:1; min-height:38px; padding:8px; border:1px solid #ddd; border-radius:4px; box-sizing:border-box; resize:vertical; font-family:inherit; }
+      .import-area button { padding:8px 14px; border:none; border-radius:4px; background:#007bff; color:#fff; cursor:pointer; white-space:nowrap; }
+      .import-area button:disabled { background:#9ec5fe; cursor:default; }
       .preview-area { margin-top:20px; }
       .preview-item { display:flex; align-items:center; padding:10px; border:1px solid #ddd; margin-bottom:10px; border-radius:4px; }
       .preview-item img { max-width:100px; max-height:100px; margin-right:10px; }
@@ -422,6 +4946,8 @@ function generateUploadPage() {
       .url-area textarea { width:100%; min-height:100px; padding:10px; border:1px solid #ddd; border-radius:4px; background:#fafafa; color:#333; }
       .admin-link { display:inline-block; margin-left:auto; color:#007bff; text-decoration:none; }
       .admin-link:hover { text-decoration:underline; }
+      .logout-link { margin-left:16px; }
+      .header .lang-select { margin-left:16px; }
       .button-group { margin-top:10px; margin-bottom:10px; display:flex; justify-content:space-between; align-items:center; }
       .button-container button { margin-right:10px; padding:5px 10px; border:none; border-radius:4px; background:#007bff; color:#fff; cursor:pointer; }
       .button-container button:hover { background:#0056b3; }
@@ -436,21 +4962,40 @@ function generateUploadPage() {
   <body>
     <div class="container">
       <div class="header">
-        <h1>文件上传</h1>
-        <a href="/admin" class="admin-link">进入管理页面</a>
+        <h1>${t('upload.title')}</h1>
+        <a href="/admin" class="admin-link">${t('upload.admin')}</a>
+        ${enableAuth ? `<a href="/logout" class="admin-link logout-link">${t('common.logout')}</a>` : ''}
+        ${localeSwitcher(locale)}
       </div>
+      <div class="quota" id="quotaInfo"><span id="quotaText"></span><div class="quota-bar"><div id="quotaBar"></div></div></div>
       <div class="upload-area" id="uploadArea">
-        <p>点击选择 或 拖拽文件到此处</p>
+        <p>${t('upload.dropHint')}</p>
         <input type="file" id="fileInput" multiple style="display:none">
       </div>
+      <div class="slug-area">
+        <select id="folderSelect"><option value="">${t('common.rootFolder')}</option></select>
+        <input type="text" id="slugInput" placeholder="${t('upload.slug')}">
+        <select id="expirySelect" title="${t('upload.expiryTitle')}">
+          <option value="">${t('upload.expiryNever')}</option>
+          <option value="3600">${t('upload.expiryHour')}</option>
+          <option value="86400">${t('upload.expiryDays', { days: 1 })}</option>
+          <option value="604800">${t('upload.expiryDays', { days: 7 })}</option>
+          <option value="2592000">${t('upload.expiryDays', { days: 30 })}</option>
+        </select>
+        <label title="${t('upload.keepOriginalTitle')}"><input type="checkbox" id="keepOriginal"${keepOriginal ? ' checked' : ''}> ${t('upload.keepOriginal')}</label>
+      </div>
+      <div class="import-area">
+        <textarea id="importInput" placeholder="${t('upload.importPlaceholder')}"></textarea>
+        <button id="importButton" onclick="importUrls()">${t('upload.importButton')}</button>
+      </div>
       <div class="preview-area" id="previewArea"></div>
       <div class="url-area">
-        <textarea id="urlArea" readonly placeholder="上传完成后的链接将显示在这里"></textarea>
+        <textarea id="urlArea" readonly placeholder="${t('upload.urlsPlaceholder')}"></textarea>
         <div class="button-group">
           <div class="button-container">
-            <button onclick="copyUrls('url')">复制URL</button>
-            <button onclick="copyUrls('markdown')">复制Markdown</button>
-            <button onclick="copyUrls('html')">复制HTML</button>
+            <button onclick="copyUrls('url')">${t('upload.copyUrl')}</button>
+            <button onclick="copyUrls('markdown')">${t('upload.copyMarkdown')}</button>
+            <button onclick="copyUrls('html')">${t('upload.copyHtml')}</button>
           </div>
           <div class="copyright">
             <span>© 2025</span>
@@ -459,12 +5004,41 @@ function generateUploadPage() {
       </div>
     </div>
     <script>
+      ${clientI18nScript(locale, 'upload.', 'common.')}
       const uploadArea = document.getElementById('uploadArea');
       const fileInput = document.getElementById('fileInput');
       const previewArea = document.getElementById('previewArea');
       const urlArea = document.getElementById('urlArea');
       let uploadedUrls = [];
 
+      // Target folder: list from /api/folders, preselected from ?folder=
+      const folderSelect = document.getElementById('folderSelect');
+      const expirySelect = document.getElementById('expirySelect');
+      const keepOriginal = document.getElementById('keepOriginal');
+      fetch('/api/folders').then(res => res.ok ? res.json() : { folders: [] }).then(({ folders }) => {
+        (folders || []).forEach(folder => {
+          const option = document.createElement('option');
+          option.value = folder.id; option.textContent = folder.path;
+          folderSelect.appendChild(option);
+        });
+        const preset = new URLSearchParams(location.search).get('folder');
+        if (preset && folders.some(folder => String(folder.id) === preset)) folderSelect.value = preset;
+      }).catch(() => {});
+
+      // Storage quota of the signed-in account; hidden when unlimited
+      function loadQuota() {
+        fetch('/api/me').then(res => res.ok ? res.json() : null).then(me => {
+          if (!me || me.quota_bytes === null) return;
+          const percent = Math.min(100, Math.round(me.used_bytes / Math.max(me.quota_bytes, 1) * 100));
+          document.getElementById('quotaText').textContent = t('upload.quota', { used: formatSize(me.used_bytes), quota: formatSize(me.quota_bytes) });
+          document.getElementById('quotaBar').style.width = percent + '%';
+          const quotaInfo = document.getElementById('quotaInfo');
+          quotaInfo.classList.toggle('full', percent >= 100);
+          quotaInfo.style.display = 'block';
+        }).catch(() => {});
+      }
+      loadQuota();
+
       ['dragenter','dragover','dragleave','drop'].forEach(eventName => {
         uploadArea.addEventListener(eventName, preventDefaults, false);
         document.body.addEventListener(eventName, preventDefaults, false);
@@ -509,22 +5083,71 @@ function generateUploadPage() {
               progressText.textContent = data.msg;
               uploadedUrls.push(data.url);
               updateUrlArea();
+              loadQuota();
               preview.classList.add('success');
             } else {
-              const errorMsg = [data.msg, data.error || '未知错误'].filter(Boolean).join(' | ');
+              const errorMsg = [data.msg, data.error || t('common.unknownError')].filter(Boolean).join(' | ');
               progressText.textContent = errorMsg;
               preview.classList.add('error');
             }
           } catch {
-            preview.querySelector('.progress-text').textContent = '✗ 响应解析失败';
+            preview.querySelector('.progress-text').textContent = t('upload.badResponse');
             preview.classList.add('error');
           }
         });
         const formData = new FormData(); formData.append('file', file);
+        if (folderSelect.value) formData.append('folder', folderSelect.value);
+        const slugInput = document.getElementById('slugInput');
+        if (slugInput.value.trim()) { formData.append('slug', slugInput.value.trim()); slugInput.value = ''; }
+        if (expirySelect.value) formData.append('expiresIn', expirySelect.value);
+        formData.append('original', keepOriginal.checked ? '1' : '0');
         xhr.open('POST', '/upload'); xhr.send(formData);
       }
 
-      function createPreview(file) {
+      // Remote import: the worker downloads each link itself, one request per line
+      async function importUrls() {
+        const input = document.getElementById('importInput');
+        const button = document.getElementById('importButton');
+        const sources = input.value.split('\\n').map(line => line.trim()).filter(Boolean);
+        if (!sources.length) return;
+        input.value = '';
+        button.disabled = true;
+        for (const source of sources) {
+          const preview = createPreview({ name: source, type: '' }, t('upload.downloading'));
+          previewArea.appendChild(preview);
+          const progressTrack = preview.querySelector('.progress-track');
+          const progressText = preview.querySelector('.progress-text');
+          progressText.textContent = '';
+          const body = { url: source };
+          if (folderSelect.value) body.folder = folderSelect.value;
+          const slugInput = document.getElementById('slugInput');
+          if (slugInput.value.trim()) { body.slug = slugInput.value.trim(); slugInput.value = ''; }
+          if (expirySelect.value) body.expiresIn = Number(expirySelect.value);
+          body.original = keepOriginal.checked;
+          try {
+            const res = await fetch('/upload', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+            const data = await res.json();
+            progressTrack.style.width = '100%';
+            if (res.ok && data.status === 1) {
+              progressText.textContent = data.msg;
+              uploadedUrls.push(data.url);
+              updateUrlArea();
+              loadQuota();
+              preview.classList.add('success');
+            } else {
+              progressText.textContent = [data.msg, data.error || t('common.unknownError')].filter(Boolean).join(' | ');
+              preview.classList.add('error');
+            }
+          } catch {
+            progressTrack.style.width = '100%';
+            progressText.textContent = t('upload.networkError');
+            preview.classList.add('error');
+          }
+        }
+        button.disabled = false;
+      }
+
+      function createPreview(file, detail) {
         const div = document.createElement('div');
         div.className = 'preview-item';
         if (file.type.startsWith('image/')) {
@@ -533,29 +5156,161 @@ function generateUploadPage() {
         const info = document.createElement('div');
         info.className = 'info';
         info.innerHTML = \`
-          <div>\${file.name}</div>
-          <div>\${formatSize(file.size)}</div>
+          <div class="file-name"></div>
+          <div>\${detail || formatSize(file.size)}</div>
           <div class="progress-bar">
             <div class="progress-track"></div>
             <span class="progress-text">0%</span>
           </div>\`;
+        info.querySelector('.file-name').textContent = file.name;
         div.appendChild(info); return div;
       }
       function formatSize(bytes){ const u=['B','KB','MB','GB']; let s=bytes,i=0; while(s>=1024&&i<u.length-1){s/=1024;i++;} return s.toFixed(2)+' '+u[i]; }
       function updateUrlArea(){ urlArea.value = uploadedUrls.join('\\n'); }
-      function copyUrls(fmt){ let text=''; if(fmt==='url') text = uploadedUrls.join('\\n'); else if(fmt==='markdown') text = uploadedUrls.map(u=>\`![](\${u})\`).join('\\n'); else text = uploadedUrls.map(u=>\`<img src="\${u}" />\`).join('\\n'); navigator.clipboard.writeText(text); alert('已复制到剪贴板'); }
+      function copyUrls(fmt){ let text=''; if(fmt==='url') text = uploadedUrls.join('\\n'); else if(fmt==='markdown') text = uploadedUrls.map(u=>\`![](\${u})\`).join('\\n'); else text = uploadedUrls.map(u=>\`<img src="\${u}" />\`).join('\\n'); navigator.clipboard.writeText(text); alert(t('common.copied')); }
+    </script>
+  </body>
+  </html>`;
+}
+
+// Account management for admins; everything is loaded from and saved through /api/users
+function generateUsersPage(locale, currentUsername) {
+  const t = (key, params) => translate(locale, key, params);
+  return `<!DOCTYPE html>
+  <html lang="${locale}">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t('users.title')}</title>
+    <style>
+      body { font-family:Arial, sans-serif; margin:0; padding:20px; background:#f5f5f5; }
+      .container { max-width:1200px; margin:0 auto; }
+      .header, .panel { background:#fff; padding:20px 30px; border-radius:8px; box-shadow:0 2px 10px rgba(0,0,0,0.08); margin-bottom:20px; }
+      .header { display:flex; align-items:center; gap:20px; }
+      h2 { margin:0; }
+      .right-content { display:flex; gap:16px; margin-left:auto; align-items:center; }
+      .toggle-btn { padding:8px 12px; border:1px solid #ddd; background:#fff; border-radius:6px; cursor:pointer; text-decoration:none; color:#333; }
+      .create-form { display:flex; flex-wrap:wrap; gap:10px; align-items:center; }
+      .create-form input, .create-form select, td input, td select { padding:6px; border:1px solid #ddd; border-radius:4px; background:#fafafa; }
+      td input[type=number] { width:90px; }
+      table { width:100%; border-collapse:collapse; }
+      th, td { border-bottom:1px solid #eee; padding:10px 12px; text-align:left; }
+      th { background:#fafafa; }
+      .btn { padding:5px 10px; border:none; border-radius:4px; cursor:pointer; background:#007bff; color:#fff; }
+      .btn-delete { background:#dc3545; }
+      .disabled-row { color:#999; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h2>${t('users.title')}</h2>
+        <div class="right-content">
+          ${localeSwitcher(locale)}
+          <a href="/admin" class="toggle-btn">${t('common.back')}</a>
+        </div>
+      </div>
+      <div class="panel">
+        <form class="create-form" id="createForm">
+          <input type="text" id="newUsername" placeholder="${t('users.username')}" required>
+          <input type="password" id="newPassword" placeholder="${t('users.password')}" required minlength="8">
+          <select id="newRole">
+            <option value="uploader">${t('users.role.uploader')}</option>
+            <option value="viewer">${t('users.role.viewer')}</option>
+            <option value="admin">${t('users.role.admin')}</option>
+          </select>
+          <input type="number" id="newQuota" min="0" step="any" placeholder="${t('users.quota')}">
+          <button class="btn" type="submit">${t('users.create')}</button>
+        </form>
+      </div>
+      <div class="panel">
+        <table>
+          <thead><tr><th>${t('users.username')}</th><th>${t('users.colRole')}</th><th>${t('users.colFiles')}</th><th>${t('users.colUsed')}</th><th>${t('users.colQuota')}</th><th>${t('users.colCreated')}</th><th>${t('users.colActions')}</th></tr></thead>
+          <tbody id="usersBody"></tbody>
+        </table>
+      </div>
+    </div>
+    <script>
+      ${clientI18nScript(locale, 'users.', 'common.')}
+      const CURRENT_USERNAME = ${jsonForScript(currentUsername)};
+      const ROLE_NAMES = { admin: t('users.role.admin'), uploader: t('users.role.uploader'), viewer: t('users.role.viewer') };
+      function esc(s){ return String(s == null ? '' : s).replace(/[&<>"']/g, c => ({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' }[c])); }
+      function fmtSize(bytes){ const u=['B','KB','MB','GB']; let s=bytes||0,i=0; while(s>=1024&&i<u.length-1){s/=1024;i++;} return s.toFixed(2)+' '+u[i]; }
+      function fmtEpoch(ms){ return new Date(ms + 8 * 60 * 60 * 1000).toISOString().replace('T', ' ').split('.')[0]; }
+      function toQuotaBytes(mb){ return mb === '' ? null : Math.round(Number(mb) * 1024 * 1024); }
+
+      async function postJson(path, body) {
+        const res = await fetch(path, { method:'POST', headers:{ 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) alert(t('users.failed', { error: data.error || res.status }));
+        return res.ok;
+      }
+
+      async function loadUsers() {
+        const res = await fetch('/api/users');
+        const data = await res.json();
+        if (!res.ok) return alert(t('common.loadFailed', { error: data.error || res.status }));
+        document.getElementById('usersBody').innerHTML = data.users.map(user => {
+          const locked = user.env || user.username === CURRENT_USERNAME;
+          return \`<tr class="\${user.disabled ? 'disabled-row' : ''}">
+            <td>\${esc(user.username)}\${user.disabled ? t('users.disabled') : ''}</td>
+            <td><select onchange="updateUser(\${user.id}, { role: this.value })" \${locked ? 'disabled' : ''}>
+              \${Object.keys(ROLE_NAMES).map(role => \`<option value="\${role}" \${role === user.role ? 'selected' : ''}>\${ROLE_NAMES[role]}</option>\`).join('')}
+            </select></td>
+            <td>\${user.file_count}</td>
+            <td>\${fmtSize(user.used_bytes)}</td>
+            <td><input type="number" min="0" step="any" placeholder="\${t('users.unlimited')}" value="\${user.quota_bytes === null ? '' : +(user.quota_bytes / 1024 / 1024).toFixed(2)}"
+              onchange="updateUser(\${user.id}, { quota: toQuotaBytes(this.value) })"></td>
+            <td>\${fmtEpoch(user.created_at)}</td>
+            <td>
+              <button class="btn" onclick="resetPassword(\${user.id})">\${t('users.resetPassword')}</button>
+              \${locked ? '' : \`<button class="btn \${user.disabled ? '' : 'btn-delete'}" onclick="updateUser(\${user.id}, { disabled: \${!user.disabled} })">\${user.disabled ? t('users.enable') : t('users.disable')}</button>\`}
+            </td>
+          </tr>\`;
+        }).join('');
+      }
+
+      async function updateUser(id, changes) {
+        await postJson('/api/users/update', { id, ...changes });
+        loadUsers();
+      }
+
+      async function resetPassword(id) {
+        const password = prompt(t('users.newPassword'));
+        if (password === null) return;
+        if (await postJson('/api/users/update', { id, password })) alert(t('users.passwordChanged'));
+      }
+
+      document.getElementById('createForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const ok = await postJson('/api/users', {
+          username: document.getElementById('newUsername').value.trim(),
+          password: document.getElementById('newPassword').value,
+          role: document.getElementById('newRole').value,
+          quota: toQuotaBytes(document.getElementById('newQuota').value.trim())
+        });
+        if (ok) { e.target.reset(); loadUsers(); }
+      });
+
+      window.updateUser = updateUser;
+      window.resetPassword = resetPassword;
+      window.toQuotaBytes = toQuotaBytes;
+      loadUsers();
     </script>
   </body>
   </html>`;
 }
 
-function generateAdminPage(fileCards, fileRows, qrModal) {
+// Folder entries are rendered here; files are loaded page by page from /api/files (or /search) by the script
+function generateAdminPage(locale, folderCards, folderRows, qrModal, { enableAuth, role, breadcrumb, trashView, trashRetentionDays, currentFolderId, folderOptions }) {
+  const t = (key, params) => translate(locale, key, params);
+  const canUpload = ROLES.indexOf(role) >= ROLES.indexOf('uploader');
   return `<!DOCTYPE html>
-  <html lang="zh-CN">
+  <html lang="${locale}">
   <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>文件管理</title>
+    <title>${t('admin.title')}</title>
     <style>
       body { font-family:Arial, sans-serif; margin:0; padding:20px; background:#f5f5f5; }
       .container { max-width:1200px; margin:0 auto; }
@@ -572,7 +5327,19 @@ function generateAdminPage(fileCards, fileRows, qrModal) {
       .file-preview img, .file-preview video { max-width:100%; max-height:100%; object-fit:contain; }
       .file-info { padding:10px; font-size:14px; }
       .file-info .name { white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
-      .file-actions { padding:10px; border-top:1px solid #eee; display:flex; gap:8px; justify-content:flex-end; font-size:12px; }
+      .file-actions { padding:10px; border-top:1px solid #eee; display:flex; flex-wrap:wrap; gap:8px; justify-content:flex-end; font-size:12px; }
+      .folder-card .file-preview { text-decoration:none; }
+      .breadcrumb { background:#fff; padding:12px 30px; border-radius:8px; box-shadow:0 2px 10px rgba(0,0,0,0.08); margin-bottom:20px; display:flex; align-items:center; gap:8px; }
+      .breadcrumb a { color:#007bff; text-decoration:none; }
+      .breadcrumb .toggle-btn { margin-left:auto; }
+      .move-select { min-width:260px; padding:8px; margin-top:10px; }
+      .file-info .tags { color:#007bff; font-size:12px; min-height:14px; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
+      .filter-bar { background:#fff; padding:12px 30px; border-radius:8px; box-shadow:0 2px 10px rgba(0,0,0,0.08); margin-bottom:20px; display:flex; flex-wrap:wrap; align-items:center; gap:10px; font-size:14px; }
+      .filter-bar input, .filter-bar select { padding:6px; border:1px solid #ddd; border-radius:4px; background:#fafafa; }
+      .filter-bar input[type=number] { width:80px; }
+      .search-summary { margin-left:auto; color:#666; }
+      .load-more { display:none; margin:20px auto; text-align:center; color:#888; }
+      .file-preview .placeholder { font-size:48px; opacity:0.3; }
       .btn { padding:5px 10px; border:none; border-radius:4px; cursor:pointer; }
       .btn-delete { background:#dc3545; color:#fff; }
       .btn-copy, .btn-down { background:#007bff; color:#fff; text-decoration:none; }
@@ -585,56 +5352,333 @@ function generateAdminPage(fileCards, fileRows, qrModal) {
       .qr-content { background:#fff; padding:20px; border-radius:10px; text-align:center; box-shadow:0 2px 10px rgba(0,0,0,0.2); }
       #qrcode { margin:5px 0; }
       .qr-buttons { display:flex; gap:10px; justify-content:center; margin-top:15px; }
+      .share-link-type { display:flex; gap:16px; justify-content:center; margin-bottom:10px; font-size:14px; }
       .qr-copy, .qr-close { padding:8px 20px; background:#007bff; color:#fff; border:none; border-radius:5px; cursor:pointer; }
+      .share-url { max-width:320px; margin:0 auto; font-size:12px; color:#666; word-break:break-all; }
+      .share-options { display:flex; flex-direction:column; gap:8px; margin-top:15px; border-top:1px solid #eee; padding-top:15px; }
+      .share-options input { padding:8px; border:1px solid #ddd; border-radius:4px; }
+      .shares-content { max-width:90vw; max-height:80vh; overflow:auto; }
+      .shares-content td, .shares-content th { font-size:13px; padding:6px 10px; }
+      .share-inactive { color:#999; }
+      .token-form { display:flex; flex-wrap:wrap; gap:10px; align-items:center; margin-bottom:10px; }
+      .token-form input[type=text] { padding:8px; border:1px solid #ddd; border-radius:4px; }
+      .token-created { display:none; text-align:left; background:#f8f9fa; padding:10px; border-radius:6px; margin-bottom:10px; }
+      .token-created input { width:100%; padding:8px; margin-top:6px; box-sizing:border-box; font-family:monospace; }
+      .stats-content { min-width:600px; text-align:left; }
+      .stats-content h3, .stats-content h4 { margin:12px 0 8px; }
+      .stats-totals { margin-top:10px; color:#333; }
+      .stats-chart { display:flex; align-items:flex-end; gap:2px; height:120px; border-bottom:1px solid #ddd; }
+      .stats-chart .bar { flex:1; background:#007bff; min-height:1px; }
+      .file-card .select-box { position:absolute; top:8px; left:8px; width:18px; height:18px; z-index:1; cursor:pointer; }
+      .file-card.selected { box-shadow:0 0 0 2px #007bff; }
+      tr.selected td { background:#eef5ff; }
+      .bulk-bar { background:#fff; padding:12px 30px; border-radius:8px; box-shadow:0 2px 10px rgba(0,0,0,0.08); margin-bottom:20px; display:flex; flex-wrap:wrap; align-items:center; gap:10px; font-size:14px; }
+      .bulk-bar select { padding:5px; border:1px solid #ddd; border-radius:4px; }
+      .bulk-bar .btn:disabled { opacity:0.5; cursor:default; }
+      .check-badge { display:inline-block; margin-left:4px; padding:0 4px; border-radius:3px; background:#dc3545; color:#fff; font-size:11px; vertical-align:middle; }
+      .maintenance-content { min-width:520px; text-align:left; }
+      .maintenance-content h4 { margin:14px 0 8px; }
+      .maintenance-result { font-size:13px; color:#333; white-space:pre-wrap; margin-bottom:8px; }
+      .file-info .expiry { color:#dc3545; font-size:12px; min-height:14px; }
     </style>
   </head>
   <body>
     <div class="container">
       <div class="header">
-        <h2>文件管理</h2>
+        <h2>${t('admin.title')}</h2>
         <div class="view-toggle">
-          <button id="btnGrid" class="toggle-btn active">卡片</button>
-          <button id="btnList" class="toggle-btn">列表</button>
+          <button id="btnGrid" class="toggle-btn active">${t('admin.grid')}</button>
+          <button id="btnList" class="toggle-btn">${t('admin.list')}</button>
         </div>
         <div class="right-content">
-          <a href="/upload" class="toggle-btn">返回</a>
-          <input type="text" class="search" placeholder="搜索文件..." id="searchInput">
+          ${canUpload ? `<a href="/upload${currentFolderId === null ? '' : `?folder=${currentFolderId}`}" class="toggle-btn">${t('common.back')}</a>
+          <button class="toggle-btn" onclick="openSharesModal()">${t('admin.shareLinks')}</button>
+          <a href="/admin?trash=1" class="toggle-btn">${t('admin.trash')}</a>` : ''}
+          <button class="toggle-btn" onclick="openStatsModal()">${t('admin.stats')}</button>
+          ${enableAuth ? `<button class="toggle-btn" onclick="openTokensModal()">${t('admin.apiTokens')}</button>` : ''}
+          ${role === 'admin' ? `<button class="toggle-btn" onclick="openMaintenanceModal()">${t('admin.maintenance')}</button>
+          <button class="toggle-btn" onclick="setupWebhook()">${t('admin.setupWebhook')}</button>
+          ${enableAuth ? `<a href="/users" class="toggle-btn">${t('admin.users')}</a>` : ''}` : ''}
+          ${enableAuth ? `<a href="/logout" class="toggle-btn">${t('common.logout')}</a>
+          <button class="toggle-btn" onclick="logoutEverywhere()">${t('admin.logoutEverywhere')}</button>` : ''}
+          ${localeSwitcher(locale)}
+          <input type="text" class="search" placeholder="${t('admin.search')}" id="searchInput">
         </div>
       </div>
 
-      <div class="grid" id="gridView">${fileCards}</div>
+      <div class="filter-bar" id="filterBar">
+        <select id="filterType">
+          <option value="">${t('admin.filterAllTypes')}</option>
+          <option value="image">${t('admin.filterImage')}</option>
+          <option value="video">${t('admin.filterVideo')}</option>
+          <option value="audio">${t('admin.filterAudio')}</option>
+          <option value="text">${t('admin.filterText')}</option>
+          <option value="application">${t('admin.filterApplication')}</option>
+        </select>
+        <span>${t('admin.filterSize')}</span><input type="number" id="filterMinSize" min="0" step="any" placeholder="${t('admin.filterMin')}"> - <input type="number" id="filterMaxSize" min="0" step="any" placeholder="${t('admin.filterMax')}">
+        <span>${t('admin.filterDate')}</span><input type="date" id="filterFrom"> - <input type="date" id="filterTo">
+        <input type="text" id="filterTags" placeholder="${t('admin.filterTags')}">
+        <input type="text" id="filterNote" placeholder="${t('admin.filterNote')}">
+        <select id="filterCheck">
+          <option value="">${t('admin.filterAnyStatus')}</option>
+          <option value="problem">${t('admin.filterProblem')}</option>
+          <option value="missing">${t('admin.check.missing')}</option>
+          <option value="broken">${t('admin.check.broken')}</option>
+          <option value="ok">${t('admin.filterOk')}</option>
+        </select>
+        <select id="filterSort">
+          <option value="date">${t('admin.sortDate')}</option>
+          <option value="name">${t('admin.sortName')}</option>
+          <option value="size">${t('admin.sortSize')}</option>
+        </select>
+        <select id="filterOrder">
+          <option value="desc">${t('admin.orderDesc')}</option>
+          <option value="asc">${t('admin.orderAsc')}</option>
+        </select>
+        <span class="search-summary" id="searchSummary"></span>
+      </div>
+
+      <div class="breadcrumb">
+        ${breadcrumb}
+        ${trashView ? `<span>${t('admin.trashRetention', { days: trashRetentionDays })}</span>
+        <button class="toggle-btn" onclick="emptyTrash()">${t('admin.emptyTrash')}</button>`
+          : canUpload ? `<button class="toggle-btn" onclick="createFolder()">${t('admin.newFolder')}</button>` : ''}
+      </div>
+
+      <div class="bulk-bar" id="bulkBar">
+        <label><input type="checkbox" id="selectAll"> ${t('admin.selectAll')}</label>
+        <span id="selectedCount">${t('admin.noneSelected')}</span>
+        ${trashView ? `<button class="btn btn-copy bulk-action" onclick="restoreFiles([...selectedUrls])">${t('admin.restore')}</button>
+        <button class="btn btn-delete bulk-action" onclick="deleteSelected()">${t('admin.deletePermanently')}</button>` : `<select id="copyFormat">
+          <option value="url">URL</option>
+          <option value="markdown">Markdown</option>
+          <option value="html">HTML</option>
+        </select>
+        <button class="btn btn-copy bulk-action" onclick="copySelectedLinks()">${t('admin.copyLinks')}</button>
+        <button class="btn btn-copy bulk-action" onclick="downloadSelectedZip()">${t('admin.downloadZip')}</button>
+        ${canUpload ? `<button class="btn btn-copy bulk-action" onclick="openMoveModal({ keys: [...selectedUrls] })">${t('admin.move')}</button>
+        <button class="btn btn-delete bulk-action" onclick="deleteSelected()">${t('admin.delete')}</button>` : ''}`}
+        <button class="btn bulk-action" onclick="clearSelection()">${t('admin.clearSelection')}</button>
+      </div>
+
+      <div class="grid" id="gridView">${folderCards}</div>
 
       <div class="list" id="listView">
         <table>
-          <thead><tr><th>#</th><th>文件名</th><th>大小</th><th>类型</th><th>时间</th><th>操作</th></tr></thead>
-          <tbody id="listBody">${fileRows}</tbody>
+          <thead><tr><th>#</th><th>${t('admin.colName')}</th><th>${t('admin.colSize')}</th><th>${t('admin.colType')}</th><th>${t('admin.colTime')}</th><th>${t('admin.colActions')}</th></tr></thead>
+          <tbody id="listBody">${folderRows}</tbody>
         </table>
       </div>
+      <div class="load-more" id="loadMore">${t('common.loading')}</div>
 
       ${qrModal}
     </div>
 
     <script src="https://cdn.jsdelivr.net/npm/qrcodejs/qrcode.min.js"></script>
     <script>
-      // Search (works for both views)
+      // File listing: pages come from /api/files for the current folder, or from /search (all folders)
+      // once any filter or a non-default sort is set. Only the visible view is rendered; the other one is
+      // rebuilt from loadedFiles when switching. Media previews load when a card scrolls into view.
+      ${clientI18nScript(locale, 'admin.', 'common.', 'api.fileDeleted', 'FILE_PATH_INVALID')}
       const searchInput = document.getElementById('searchInput');
       const gridView = document.getElementById('gridView');
       const listView = document.getElementById('listView');
       const listBody = document.getElementById('listBody');
-      const gridCards = Array.from(gridView.children);
-      const listRows = Array.from(listBody.querySelectorAll('tr'));
-
-      searchInput.addEventListener('input', (e) => {
-        const q = e.target.value.toLowerCase();
-        gridCards.forEach(card => {
-          const name = card.querySelector('.file-info .name').textContent.toLowerCase();
-          card.style.display = name.includes(q) ? '' : 'none';
-        });
-        listRows.forEach(row => {
-          const name = row.querySelector('.name').textContent.toLowerCase();
-          row.style.display = name.includes(q) ? '' : 'none';
+      const loadMoreEl = document.getElementById('loadMore');
+      const searchSummary = document.getElementById('searchSummary');
+      const folderGrid = gridView.innerHTML;
+      const folderRows = listBody.innerHTML;
+      const PAGE_SIZE = 60;
+      const ROLE = ${jsonForScript(role)};
+      const TRASH_VIEW = ${jsonForScript(!!trashView)};
+      const TRASH_RETENTION_DAYS = ${jsonForScript(trashRetentionDays)};
+      let viewMode = 'grid';
+      let loadedFiles = [];
+      let nextCursor = null;
+      let hasMore = true;
+      let loading = false;
+      let loadSeq = 0;
+      let searchTimer = null;
+      const selectedUrls = new Set();
+
+      function esc(s){ return String(s == null ? '' : s).replace(/[&<>"']/g, c => ({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' }[c])); }
+      function fmtSize(bytes){ const u=['B','KB','MB','GB']; let s=bytes||0,i=0; while(s>=1024&&i<u.length-1){s/=1024;i++;} return s.toFixed(2)+' '+u[i]; }
+      function fmtTime(t){ return new Date(t).toISOString().replace('T', ' ').split('.')[0]; }
+      // Epoch-millisecond fields, shown in the same UTC+8 wall time as created_at
+      function fmtEpoch(ms){ return fmtTime(ms + 8 * 60 * 60 * 1000); }
+      // Telegram's thumbnail when there is one, so the grid does not download originals;
+      // otherwise the file itself for formats the browser can show. Chosen by the stored MIME type,
+      // which is detected from the content, so links without a matching extension preview too.
+      function previewHtml(url, thumbUrl, mimeType){
+        const [mainType] = (mimeType || '').split('/');
+        if (mainType === 'video') return \`<video src="\${url}" controls preload="none"\${thumbUrl ? \` poster="\${thumbUrl}"\` : ''}></video>\`;
+        if (thumbUrl) return \`<img src="\${thumbUrl}" alt="\${t('admin.preview')}" loading="lazy">\`;
+        if (mainType === 'image') return \`<img src="\${url}" alt="\${t('admin.preview')}" loading="lazy">\`;
+        if (mainType === 'audio') return \`<audio src="\${url}" controls preload="none"></audio>\`;
+        return '<div style="font-size: 48px">📄</div>';
+      }
+      // Viewers only get read-only actions; the server checks ownership again
+      function fileActions(file){
+        if (TRASH_VIEW) return \`<button class="btn btn-copy" onclick="restoreFiles(['\${file.url}'])">\${t('admin.restore')}</button>
+          <button class="btn btn-delete" onclick="deleteFile('\${file.url}')">\${t('admin.deletePermanently')}</button>\`;
+        const readOnly = \`<button class="btn btn-copy" onclick="showQRCode('\${file.url}', '\${file.view_url}')">\${t('admin.share')}</button>
+          <a class="btn btn-copy" href="\${file.view_url}" target="_blank">\${t('admin.preview')}</a>
+          <a class="btn btn-down" href="\${file.url}" download="\${esc(file.file_name)}">\${t('admin.download')}</a>
+          <button class="btn btn-copy" onclick="openStatsModal('\${file.url}')">\${t('admin.stats')}</button>\`;
+        if (ROLE === 'viewer') return readOnly;
+        return readOnly + \`
+          <button class="btn btn-copy" onclick="renameFile('\${file.url}')">\${t('admin.rename')}</button>
+          <button class="btn btn-copy" onclick="openMoveModal({ keys: ['\${file.url}'] })">\${t('admin.move')}</button>
+          <button class="btn btn-copy" onclick="editFileMeta('\${file.url}')">\${t('admin.tags')}</button>
+          <button class="btn btn-delete" onclick="deleteFile('\${file.url}')">\${t('admin.delete')}</button>\`;
+      }
+      // Set by the integrity check (maintenance dialog); only problems are shown
+      const CHECK_LABELS = { missing: t('admin.check.missing'), broken: t('admin.check.broken') };
+      function checkBadge(file){
+        return CHECK_LABELS[file.check_status] ? \`<span class="check-badge" title="\${esc(t(file.check_error || ''))}">\${CHECK_LABELS[file.check_status]}</span>\` : '';
+      }
+      // When a trashed file gets purged, or an upload with a time-to-live expires
+      function fileExpiry(file){
+        if (file.deleted_at) {
+          const days = Math.max(0, Math.ceil((file.deleted_at + TRASH_RETENTION_DAYS * 86400000 - Date.now()) / 86400000));
+          return t('admin.trashedAt', { time: fmtEpoch(file.deleted_at), days });
+        }
+        return file.expires_at ? t('admin.expiresAt', { time: fmtEpoch(file.expires_at) }) : '';
+      }
+      function selectBox(file){
+        return \`<input type="checkbox" class="select-box" data-url="\${file.url}" \${selectedUrls.has(file.url) ? 'checked' : ''}>\`;
+      }
+      function renderCard(file){
+        return \`<div class="file-card\${selectedUrls.has(file.url) ? ' selected' : ''}" data-url="\${file.url}">
+          \${selectBox(file)}
+          <div class="file-preview"\${TRASH_VIEW ? '' : \` data-preview="\${file.url}" data-thumb="\${file.thumb_url || ''}" data-type="\${esc(file.mime_type)}"\`}><div class="placeholder">📄</div></div>
+          <div class="file-info">
+            <div class="name" title="\${esc(file.note)}">\${esc(file.file_name)}\${checkBadge(file)}</div>
+            <div class="size">\${fmtSize(file.file_size)}</div>
+            <div class="time">\${fmtTime(file.created_at)}</div>
+            <div class="tags">\${(file.tags || []).map(tag => '#' + esc(tag)).join(' ')}</div>
+            <div class="expiry">\${fileExpiry(file)}</div>
+          </div>
+          <div class="file-actions">\${fileActions(file)}</div>
+        </div>\`;
+      }
+      function renderRow(file, idx){
+        return \`<tr class="\${selectedUrls.has(file.url) ? 'selected' : ''}" data-url="\${file.url}">
+          <td class="idx">\${selectBox(file)} \${idx + 1}</td>
+          <td class="name" title="\${esc(file.note)}">\${esc(file.file_name)}\${checkBadge(file)}</td>
+          <td class="size">\${fmtSize(file.file_size)}</td>
+          <td class="type">\${esc(file.mime_type)}</td>
+          <td class="time">\${fmtTime(file.created_at)}\${fileExpiry(file) ? \`<br><small>\${fileExpiry(file)}</small>\` : ''}</td>
+          <td class="actions">\${fileActions(file)}</td>
+        </tr>\`;
+      }
+
+      const previewObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+          entry.target.innerHTML = previewHtml(entry.target.dataset.preview, entry.target.dataset.thumb, entry.target.dataset.type);
+          previewObserver.unobserve(entry.target);
         });
-      });
+      }, { rootMargin: '200px' });
+
+      function appendFiles(files, offset){
+        if (viewMode === 'grid') {
+          gridView.insertAdjacentHTML('beforeend', files.map(renderCard).join(''));
+          gridView.querySelectorAll('.file-preview[data-preview]:not([data-observed])').forEach(el => {
+            el.dataset.observed = '1';
+            previewObserver.observe(el);
+          });
+        } else {
+          listBody.insertAdjacentHTML('beforeend', files.map((file, i) => renderRow(file, offset + i)).join(''));
+        }
+      }
+      function renderAll(){
+        const searching = !!readFilters();
+        gridView.innerHTML = searching ? '' : folderGrid;
+        listBody.innerHTML = searching ? '' : folderRows;
+        appendFiles(loadedFiles, 0);
+      }
+
+      function readFilters(){
+        const val = id => document.getElementById(id).value.trim();
+        const mb = id => val(id) === '' ? undefined : Math.round(Number(val(id)) * 1024 * 1024);
+        const filters = {
+          query: val('searchInput') || undefined,
+          type: val('filterType') || undefined,
+          minSize: mb('filterMinSize'),
+          maxSize: mb('filterMaxSize'),
+          from: val('filterFrom') ? val('filterFrom') + 'T00:00:00+08:00' : undefined,
+          to: val('filterTo') ? val('filterTo') + 'T23:59:59.999+08:00' : undefined,
+          tags: val('filterTags') || undefined,
+          note: val('filterNote') || undefined,
+          check: val('filterCheck') || undefined,
+          sort: val('filterSort'),
+          order: val('filterOrder')
+        };
+        const active = Object.keys(filters).some(k => !['sort', 'order'].includes(k) && filters[k] !== undefined)
+          || filters.sort !== 'date' || filters.order !== 'desc';
+        return active ? filters : null;
+      }
+
+      async function fetchPage(cursor){
+        const filters = readFilters();
+        if (filters) {
+          const res = await fetch('/search', { method:'POST', headers:{ 'Content-Type': 'application/json' }, body: JSON.stringify({ ...filters, trash: TRASH_VIEW, limit: PAGE_SIZE, cursor: cursor || undefined }) });
+          const data = await res.json();
+          if (!res.ok) throw new Error(data.error || res.status);
+          return data;
+        }
+        const params = new URLSearchParams({ limit: PAGE_SIZE });
+        if (TRASH_VIEW) { params.set('folder', 'all'); params.set('trash', '1'); }
+        else if (CURRENT_FOLDER_ID !== null) params.set('folder', CURRENT_FOLDER_ID);
+        if (cursor) params.set('cursor', cursor);
+        const res = await fetch('/api/files?' + params);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || res.status);
+        return data;
+      }
+
+      async function loadMore(reset){
+        if (reset) {
+          loadSeq++;
+          loadedFiles = []; nextCursor = null; hasMore = true; loading = false;
+          selectedUrls.clear(); updateSelection();
+          renderAll();
+        }
+        if (loading || !hasMore) return;
+        loading = true;
+        const seq = loadSeq;
+        loadMoreEl.style.display = 'block';
+        loadMoreEl.textContent = t('common.loading');
+        try {
+          const data = await fetchPage(nextCursor);
+          if (seq !== loadSeq) return;
+          appendFiles(data.files, loadedFiles.length);
+          loadedFiles = loadedFiles.concat(data.files);
+          updateSelection();
+          nextCursor = data.nextCursor;
+          hasMore = !!nextCursor;
+          searchSummary.textContent = t(readFilters() ? 'admin.resultCount' : 'admin.fileCount', { total: data.total });
+          loadMoreEl.style.display = hasMore ? 'block' : 'none';
+        } catch (e) {
+          if (seq !== loadSeq) return;
+          loadMoreEl.textContent = t('common.loadFailed', { error: e.message });
+          hasMore = false;
+        } finally {
+          if (seq === loadSeq) loading = false;
+        }
+        // Keep filling while the sentinel is still on screen (short pages, tall windows)
+        if (seq === loadSeq && hasMore && loadMoreEl.getBoundingClientRect().top < window.innerHeight) loadMore(false);
+      }
+      function scheduleSearch(){ clearTimeout(searchTimer); searchTimer = setTimeout(() => loadMore(true), 300); }
+
+      new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) loadMore(false);
+      }, { rootMargin: '400px' }).observe(loadMoreEl);
+
+      searchInput.addEventListener('input', scheduleSearch);
+      document.querySelectorAll('#filterBar input').forEach(el => el.addEventListener('input', scheduleSearch));
+      document.querySelectorAll('#filterBar select').forEach(el => el.addEventListener('change', () => loadMore(true)));
 
       // View toggle
       const btnGrid = document.getElementById('btnGrid');
@@ -642,55 +5686,557 @@ function generateAdminPage(fileCards, fileRows, qrModal) {
       function setView(mode){
         if(mode==='grid'){ gridView.style.display='grid'; listView.style.display='none'; btnGrid.classList.add('active'); btnList.classList.remove('active'); }
         else { gridView.style.display='none'; listView.style.display='block'; btnGrid.classList.remove('active'); btnList.classList.add('active'); }
+        if (mode !== viewMode) { viewMode = mode; renderAll(); }
       }
       btnGrid.addEventListener('click', () => setView('grid'));
       btnList.addEventListener('click', () => setView('list'));
 
-      // QR share helpers
+      // QR share helpers: the modal starts with the file's /view/ page (or, switched, the permanent file
+      // URL); creating a share link swaps in a /s/ link
       let currentShareUrl = '';
-      function showQRCode(url) {
+      let currentFileUrl = '';
+      let currentViewUrl = '';
+      function renderQRCode(url) {
         currentShareUrl = url;
-        const modal = document.getElementById('qrModal');
         const qrcodeDiv = document.getElementById('qrcode');
-        const copyBtn = document.querySelector('.qr-copy');
-        copyBtn.textContent = '复制链接';
+        const copyBtn = document.getElementById('qrCopyBtn');
+        copyBtn.textContent = t('admin.copyLink');
         copyBtn.disabled = false;
         qrcodeDiv.innerHTML = '';
         new QRCode(qrcodeDiv, { text: url, width: 200, height: 200, colorDark: "#000000", colorLight: "#ffffff", correctLevel: QRCode.CorrectLevel.H });
-        modal.style.display = 'flex';
+        document.getElementById('shareUrl').textContent = url;
+      }
+      function showQRCode(url, viewUrl) {
+        currentFileUrl = url;
+        currentViewUrl = viewUrl || url;
+        // The share options are not rendered for viewers
+        ['shareHours', 'shareMaxDownloads', 'sharePassword'].forEach(id => { const input = document.getElementById(id); if (input) input.value = ''; });
+        document.querySelector('input[name="shareLinkType"][value="view"]').checked = true;
+        renderQRCode(currentViewUrl);
+        document.getElementById('qrModal').style.display = 'flex';
+      }
+      function selectShareLinkType() {
+        const type = document.querySelector('input[name="shareLinkType"]:checked').value;
+        renderQRCode(type === 'view' ? currentViewUrl : currentFileUrl);
+      }
+      async function createShareLink() {
+        const hours = document.getElementById('shareHours').value.trim();
+        const maxDownloads = document.getElementById('shareMaxDownloads').value.trim();
+        const password = document.getElementById('sharePassword').value;
+        const { res, data } = await postJson('/api/shares', {
+          url: currentFileUrl,
+          expiresIn: hours ? Number(hours) * 3600 : undefined,
+          maxDownloads: maxDownloads ? Number(maxDownloads) : undefined,
+          password: password || undefined
+        });
+        if (!res.ok) return alert(t('admin.createShareLinkFailed', { error: data.error || res.status }));
+        renderQRCode(data.url);
       }
       function handleCopyUrl() {
         navigator.clipboard.writeText(currentShareUrl).then(() => {
-          const copyBtn = document.querySelector('.qr-copy');
-          copyBtn.textContent = '✔ 已复制'; copyBtn.disabled = true;
-          setTimeout(() => { copyBtn.textContent = '复制链接'; copyBtn.disabled = false; }, 3000);
-        }).catch(() => alert('复制失败，请手动复制'));
+          const copyBtn = document.getElementById('qrCopyBtn');
+          copyBtn.textContent = t('admin.copied'); copyBtn.disabled = true;
+          setTimeout(() => { copyBtn.textContent = t('admin.copyLink'); copyBtn.disabled = false; }, 3000);
+        }).catch(() => alert(t('common.copyFailed')));
       }
       function closeQRModal(){ document.getElementById('qrModal').style.display = 'none'; }
-      window.onclick = function(e){ const modal = document.getElementById('qrModal'); if (e.target === modal) modal.style.display='none'; }
+
+      async function openSharesModal() {
+        const body = document.getElementById('sharesBody');
+        body.innerHTML = \`<tr><td colspan="7">\${t('common.loading')}</td></tr>\`;
+        document.getElementById('sharesModal').style.display = 'flex';
+        try {
+          const res = await fetch('/api/shares');
+          const data = await res.json();
+          if (!res.ok) throw new Error(data.error || res.status);
+          body.innerHTML = data.links.map(link => \`<tr class="\${link.active ? '' : 'share-inactive'}">
+            <td><a href="\${link.url}" target="_blank">\${esc(link.file_name)}</a></td>
+            <td>\${fmtEpoch(link.created_at)}</td>
+            <td>\${link.expires_at ? fmtEpoch(link.expires_at) : t('admin.never')}</td>
+            <td>\${link.download_count}\${link.max_downloads ? ' / ' + link.max_downloads : ''}</td>
+            <td>\${link.protected ? t('admin.yes') : t('admin.no')}</td>
+            <td>\${link.active ? t('admin.shareActive') : t('admin.shareInactive')}</td>
+            <td><button class="btn btn-copy" onclick="showQRCodeFor('\${link.url}', '\${link.fileUrl}')">\${t('admin.qrCode')}</button>
+              <button class="btn btn-delete" onclick="revokeShareLink('\${link.token}')">\${t('admin.revoke')}</button></td>
+          </tr>\`).join('') || \`<tr><td colspan="7">\${t('admin.noShareLinks')}</td></tr>\`;
+        } catch (e) {
+          body.innerHTML = \`<tr><td colspan="7">\${esc(t('common.loadFailed', { error: e.message }))}</td></tr>\`;
+        }
+      }
+      // Stats: all files, or one file when opened from its action buttons
+      let statsFileUrl = null;
+      function openStatsModal(url) {
+        statsFileUrl = url || null;
+        const file = url && loadedFiles.find(f => f.url === url);
+        document.getElementById('statsTitle').textContent = file ? t('admin.statsTitleFile', { name: file.file_name }) : t('admin.statsTitle');
+        document.getElementById('statsModal').style.display = 'flex';
+        loadStats();
+      }
+      function closeStatsModal(){ document.getElementById('statsModal').style.display = 'none'; }
+      async function loadStats() {
+        const params = new URLSearchParams({ days: document.getElementById('statsDays').value });
+        if (statsFileUrl) params.set('url', statsFileUrl);
+        const totalsEl = document.getElementById('statsTotals');
+        totalsEl.textContent = t('common.loading');
+        try {
+          const res = await fetch('/api/stats?' + params);
+          const data = await res.json();
+          if (!res.ok) throw new Error(data.error || res.status);
+          totalsEl.textContent = t('admin.statsTotals', { downloads: data.totals.downloads, hits: data.totals.cache_hits, bytes: fmtSize(data.totals.bytes) });
+          const maxBytes = Math.max(1, ...data.daily.map(row => row.bytes));
+          document.getElementById('statsChart').innerHTML = data.daily.map(row =>
+            \`<div class="bar" style="height:\${Math.round(row.bytes / maxBytes * 100)}%" title="\${t('admin.statsDay', { day: row.day, downloads: row.downloads, bytes: fmtSize(row.bytes) })}"></div>\`
+          ).join('');
+          document.getElementById('statsFiles').innerHTML = data.files.map(file => \`<tr>
+            <td><a href="\${file.url}" target="_blank">\${esc(file.file_name)}</a></td>
+            <td>\${file.downloads}</td>
+            <td>\${file.cache_hits}</td>
+            <td>\${fmtSize(file.bytes)}</td>
+            <td>\${file.last_accessed_at ? fmtEpoch(file.last_accessed_at) : '-'}</td>
+          </tr>\`).join('') || \`<tr><td colspan="5">\${t('common.noData')}</td></tr>\`;
+          document.getElementById('statsReferrers').innerHTML = data.referrers.map(row =>
+            \`<tr><td>\${row.referrer ? esc(row.referrer) : t('admin.directAccess')}</td><td>\${row.downloads}</td></tr>\`
+          ).join('') || \`<tr><td colspan="2">\${t('common.noData')}</td></tr>\`;
+        } catch (e) {
+          totalsEl.textContent = t('common.loadFailed', { error: e.message });
+        }
+      }
+
+      // API tokens: the plain token and the uploader configs only exist in the creation response
+      let createdToken = null;
+      const SCOPE_NAMES = { read: t('admin.scope.read'), upload: t('admin.scope.upload'), delete: t('admin.scope.delete') };
+      async function openTokensModal() {
+        document.getElementById('tokensModal').style.display = 'flex';
+        const body = document.getElementById('tokensBody');
+        try {
+          const res = await fetch('/api/tokens');
+          const data = await res.json();
+          if (!res.ok) throw new Error(data.error || res.status);
+          body.innerHTML = data.tokens.map(token => \`<tr>
+            <td>\${esc(token.name)}</td>
+            <td><code>\${esc(token.prefix)}…</code></td>
+            <td>\${token.scopes.map(scope => SCOPE_NAMES[scope] || scope).join(t('common.listSeparator'))}</td>
+            <td>\${esc(token.username)}</td>
+            <td>\${fmtEpoch(token.created_at)}</td>
+            <td>\${token.last_used_at ? fmtEpoch(token.last_used_at) : t('admin.neverUsed')}</td>
+            <td><button class="btn btn-delete" onclick="revokeApiToken(\${token.id})">\${t('admin.revoke')}</button></td>
+          </tr>\`).join('') || \`<tr><td colspan="7">\${t('admin.noTokens')}</td></tr>\`;
+        } catch (e) {
+          body.innerHTML = \`<tr><td colspan="7">\${esc(t('common.loadFailed', { error: e.message }))}</td></tr>\`;
+        }
+      }
+      function closeTokensModal(){
+        document.getElementById('tokensModal').style.display = 'none';
+        document.getElementById('tokenCreated').style.display = 'none';
+        createdToken = null;
+      }
+      async function createApiToken() {
+        const name = document.getElementById('tokenName').value.trim();
+        if (!name) return alert(t('admin.tokenNameRequired'));
+        const scopes = [...document.querySelectorAll('.token-scope:checked')].map(input => input.value);
+        if (!scopes.length) return alert(t('admin.tokenScopeRequired'));
+        const { res, data } = await postJson('/api/tokens', { name, scopes });
+        if (!res.ok) return alert(t('admin.createFailed', { error: data.error || res.status }));
+        createdToken = data;
+        document.getElementById('tokenName').value = '';
+        document.getElementById('tokenValue').value = data.token;
+        document.getElementById('tokenCreated').style.display = 'block';
+        openTokensModal();
+      }
+      function downloadUploaderConfig(type) {
+        if (!createdToken) return;
+        const blob = new Blob([JSON.stringify(createdToken[type], null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = type === 'sharex' ? location.host + '.sxcu' : 'picgo-' + location.host + '.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+      }
+      async function revokeApiToken(id) {
+        if (!confirm(t('admin.revokeTokenConfirm'))) return;
+        const { res, data } = await postJson('/api/tokens/revoke', { id });
+        if (!res.ok) return alert(t('admin.revokeFailed', { error: data.error || res.status }));
+        openTokensModal();
+      }
+
+      function closeSharesModal(){ document.getElementById('sharesModal').style.display = 'none'; }
+      function showQRCodeFor(shareUrl, fileUrl) {
+        closeSharesModal();
+        showQRCode(fileUrl);
+        renderQRCode(shareUrl);
+      }
+      async function revokeShareLink(token) {
+        if (!confirm(t('admin.revokeShareConfirm'))) return;
+        const { res, data } = await postJson('/api/shares/revoke', { token });
+        if (!res.ok) return alert(t('admin.revokeFailed', { error: data.error || res.status }));
+        openSharesModal();
+      }
+      // Backup & integrity check (admins only)
+      let verifying = false;
+      let backfilling = false;
+      function openMaintenanceModal(){
+        document.getElementById('maintenanceModal').style.display = 'flex';
+        document.getElementById('importResult').textContent = '';
+        loadVerifySummary();
+        loadThumbSummary();
+      }
+      function closeMaintenanceModal(){ document.getElementById('maintenanceModal').style.display = 'none'; }
+      async function importIndex(){
+        const file = document.getElementById('importFile').files[0];
+        if (!file) return alert(t('admin.importFileRequired'));
+        const conflict = document.getElementById('importConflict').value;
+        const resultEl = document.getElementById('importResult');
+        resultEl.textContent = t('admin.importing');
+        try {
+          const res = await fetch('/api/import?conflict=' + conflict, { method: 'POST', headers: { 'Content-Type': file.name.toLowerCase().endsWith('.csv') ? 'text/csv' : 'application/json' }, body: await file.text() });
+          const data = await res.json();
+          if (!res.ok) throw new Error(data.error || res.status);
+          resultEl.textContent = [t('admin.importResult', data),
+            ...(data.orphaned.length ? [t('admin.importOrphaned', { count: data.orphaned.length })] : []),
+            ...data.errors.map(item => \`\${item.file_key}: \${item.error}\`)].join('\\n');
+          if (data.imported) loadMore(true);
+        } catch (e) {
+          resultEl.textContent = t('admin.importFailed', { error: e.message });
+        }
+      }
+      async function loadVerifySummary(){
+        const el = document.getElementById('verifySummary');
+        try {
+          const res = await fetch('/api/verify');
+          const data = await res.json();
+          if (!res.ok) throw new Error(data.error || res.status);
+          el.textContent = t('admin.verifySummary', data) +
+            (data.lastCheckedAt ? '\\n' + t('admin.lastChecked', { time: fmtEpoch(data.lastCheckedAt) }) : '');
+        } catch (e) {
+          el.textContent = t('common.loadFailed', { error: e.message });
+        }
+      }
+      // Walks the whole index one batch per request until the server returns no cursor
+      async function toggleVerify(){
+        const button = document.getElementById('verifyButton');
+        if (verifying) { verifying = false; return; }
+        verifying = true;
+        button.textContent = t('admin.stopCheck');
+        const el = document.getElementById('verifySummary');
+        const totals = { checked: 0, missing: 0, broken: 0, errors: 0, skipped: 0 };
+        let cursor = '';
+        try {
+          do {
+            const { res, data } = await postJson('/api/verify', { cursor });
+            if (!res.ok) throw new Error(data.error || res.status);
+            Object.keys(totals).forEach(name => { totals[name] += data[name]; });
+            el.textContent = t('admin.verifyProgress', totals) + (totals.errors ? t('admin.verifyErrors', totals) : '') + '...' +
+              (totals.skipped ? '\\n' + t('admin.verifySkipped', totals) : '');
+            cursor = data.nextCursor;
+          } while (cursor && verifying);
+          if (verifying) {
+            await loadVerifySummary();
+            if (totals.skipped) el.textContent += '\\n' + t('admin.verifySkipped', totals);
+          }
+        } catch (e) {
+          el.textContent = t('admin.verifyFailed', { error: e.message });
+        }
+        verifying = false;
+        button.textContent = t('admin.startCheck');
+      }
+      async function loadThumbSummary(){
+        const el = document.getElementById('thumbSummary');
+        try {
+          const res = await fetch('/api/thumbnails');
+          const data = await res.json();
+          if (!res.ok) throw new Error(data.error || res.status);
+          el.textContent = data.pending ? t('admin.thumbPending', data) : t('admin.thumbDone');
+        } catch (e) {
+          el.textContent = t('common.loadFailed', { error: e.message });
+        }
+      }
+      // Same batch loop as the integrity check
+      async function toggleThumbBackfill(){
+        const button = document.getElementById('thumbButton');
+        if (backfilling) { backfilling = false; return; }
+        backfilling = true;
+        button.textContent = t('admin.stop');
+        const el = document.getElementById('thumbSummary');
+        const totals = { processed: 0, found: 0, errors: 0 };
+        let cursor = '';
+        try {
+          do {
+            const { res, data } = await postJson('/api/thumbnails', { cursor });
+            if (!res.ok) throw new Error(data.error || res.status);
+            Object.keys(totals).forEach(name => { totals[name] += data[name]; });
+            el.textContent = t('admin.thumbProgress', totals) + (totals.errors ? t('admin.thumbErrors', totals) : '') + '...';
+            cursor = data.nextCursor;
+          } while (cursor && backfilling);
+          if (backfilling) await loadThumbSummary();
+        } catch (e) {
+          el.textContent = t('admin.thumbFailed', { error: e.message });
+        }
+        backfilling = false;
+        button.textContent = t('admin.thumbBackfill');
+      }
+      function showProblemFiles(){
+        closeMaintenanceModal();
+        document.getElementById('filterCheck').value = 'problem';
+        loadMore(true);
+      }
+
+      window.onclick = function(e){ ['qrModal', 'moveModal', 'sharesModal', 'statsModal', 'tokensModal', 'maintenanceModal'].forEach(id => { const modal = document.getElementById(id); if (e.target === modal) modal.style.display='none'; }); }
+
+      // Selection: checkboxes on cards and rows; bulk actions work on selectedUrls
+      function updateSelection(){
+        document.querySelectorAll('[data-url]').forEach(el => {
+          const selected = selectedUrls.has(el.dataset.url);
+          if (el.classList.contains('select-box')) el.checked = selected;
+          else el.classList.toggle('selected', selected);
+        });
+        document.getElementById('selectedCount').textContent = selectedUrls.size ? t('admin.selected', { count: selectedUrls.size }) : t('admin.noneSelected');
+        document.querySelectorAll('.bulk-action').forEach(btn => { btn.disabled = !selectedUrls.size; });
+        document.getElementById('selectAll').checked = loadedFiles.length > 0 && loadedFiles.every(file => selectedUrls.has(file.url));
+      }
+      document.addEventListener('change', e => {
+        if (!e.target.classList.contains('select-box')) return;
+        if (e.target.checked) selectedUrls.add(e.target.dataset.url); else selectedUrls.delete(e.target.dataset.url);
+        updateSelection();
+      });
+      document.getElementById('selectAll').addEventListener('change', e => {
+        loadedFiles.forEach(file => { if (e.target.checked) selectedUrls.add(file.url); else selectedUrls.delete(file.url); });
+        updateSelection();
+      });
+      function clearSelection(){ selectedUrls.clear(); updateSelection(); }
+      updateSelection();
+
+      function removeFiles(urls){
+        urls.forEach(url => {
+          document.querySelectorAll(\`.file-card[data-url="\${url}"], tr[data-url="\${url}"]\`).forEach(el => el.remove());
+          selectedUrls.delete(url);
+        });
+        loadedFiles = loadedFiles.filter(file => !urls.includes(file.url));
+        updateSelection();
+      }
+
+      function copySelectedLinks(){
+        const format = document.getElementById('copyFormat').value;
+        const text = [...selectedUrls].map(url => {
+          const file = loadedFiles.find(f => f.url === url) || { file_name: url.split('/').pop() };
+          const isImage = (file.mime_type || '').startsWith('image/');
+          if (format === 'markdown') return isImage ? \`![\${file.file_name}](\${url})\` : \`[\${file.file_name}](\${url})\`;
+          if (format === 'html') return isImage ? \`<img src="\${url}" alt="\${esc(file.file_name)}" />\` : \`<a href="\${url}">\${esc(file.file_name)}</a>\`;
+          return url;
+        }).join('\\n');
+        navigator.clipboard.writeText(text).then(() => alert(t('admin.copiedLinks', { count: selectedUrls.size }))).catch(() => alert(t('common.copyFailed')));
+      }
+
+      // A regular form post lets the browser stream the archive straight to disk
+      function downloadSelectedZip(){
+        const form = document.createElement('form');
+        form.method = 'POST';
+        form.action = '/api/zip';
+        selectedUrls.forEach(url => {
+          const input = document.createElement('input');
+          input.type = 'hidden'; input.name = 'urls'; input.value = url;
+          form.appendChild(input);
+        });
+        document.body.appendChild(form);
+        form.submit();
+        form.remove();
+      }
+
+      // Outside the trash files are only moved there; in the trash they are deleted for good
+      async function deleteSelected(){
+        const urls = [...selectedUrls];
+        if (!confirm(t(TRASH_VIEW ? 'admin.deleteSelectedPermanentConfirm' : 'admin.deleteSelectedConfirm', { count: urls.length }))) return;
+        const { res, data } = await postJson('/delete', { urls, permanent: TRASH_VIEW });
+        if (!res.ok) return alert(t('admin.deleteFailed', { error: data.error || res.status }));
+        removeFiles(data.results.filter(result => result.success).map(result => result.url));
+        const failed = data.results.filter(result => !result.success);
+        const warnings = TRASH_VIEW ? data.results.filter(result => result.success && result.message !== t('api.fileDeleted')) : [];
+        alert([t(TRASH_VIEW ? 'admin.deletedCount' : 'admin.trashedCount', { count: data.deleted }) + (data.failed ? t('admin.failedSuffix', data) : ''),
+          ...failed.map(result => \`\${result.url.split('/').pop()}: \${result.error}\`),
+          ...warnings.map(result => \`\${result.url.split('/').pop()}: \${result.message}\`)].join('\\n'));
+      }
 
       // Delete (works for both views)
       async function deleteFile(url) {
-        if (!confirm('确定要删除这个文件吗？')) return;
+        if (!confirm(t(TRASH_VIEW ? 'admin.deletePermanentConfirm' : 'admin.deleteConfirm'))) return;
+        try {
+          const res = await fetch('/delete', { method:'POST', headers:{ 'Content-Type': 'application/json' }, body: JSON.stringify({ url, permanent: TRASH_VIEW }) });
+          const data = await res.json();
+          if (!res.ok) throw new Error(data.error || res.status);
+          removeFiles([url]);
+          alert(data.message);
+        } catch (e) { alert(t('admin.deleteFileFailed', { error: e.message })); }
+      }
+
+      // Trash
+      async function restoreFiles(urls){
+        const { res, data } = await postJson('/api/trash/restore', { urls });
+        if (!res.ok) return alert(t('admin.restoreFailed', { error: data.error || res.status }));
+        removeFiles(data.results.filter(result => result.success).map(result => result.url));
+        const failed = data.results.filter(result => !result.success);
+        if (failed.length) alert([t('admin.restoredCount', data),
+          ...failed.map(result => \`\${result.url.split('/').pop()}: \${result.error}\`)].join('\\n'));
+      }
+      // The server empties the trash in batches and reports what is left
+      async function emptyTrash(){
+        if (!confirm(t('admin.emptyTrashConfirm'))) return;
+        let deleted = 0;
+        const errors = [];
+        try {
+          let remaining;
+          do {
+            const { res, data } = await postJson('/api/trash/empty', {});
+            if (!res.ok) throw new Error(data.error || res.status);
+            deleted += data.deleted;
+            errors.push(...data.errors);
+            remaining = data.deleted ? data.remaining : 0;
+          } while (remaining);
+          alert(t('admin.emptiedTrash', { count: deleted }) + (errors.length ? '\\n' + t('admin.emptyTrashErrors', { count: errors.length, error: errors[0] }) : ''));
+        } catch (e) {
+          alert(t('admin.emptyTrashFailed', { count: deleted, error: e.message }));
+        }
+        loadMore(true);
+      }
+
+      // Folders, move & rename
+      const FOLDERS = ${jsonForScript(folderOptions)};
+      const CURRENT_FOLDER_ID = ${jsonForScript(currentFolderId)};
+      let pendingMove = null;
+
+      async function postJson(path, body) {
+        const res = await fetch(path, { method:'POST', headers:{ 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        const data = await res.json().catch(() => ({}));
+        return { res, data };
+      }
+
+      async function createFolder() {
+        const name = prompt(t('admin.folderName'));
+        if (!name) return;
+        const { res, data } = await postJson('/api/folders', { name, parentId: CURRENT_FOLDER_ID });
+        if (!res.ok) return alert(t('admin.createFailed', { error: data.error || res.status }));
+        location.reload();
+      }
+
+      async function renameFolder(id) {
+        const folder = FOLDERS.find(f => f.id === id);
+        const name = prompt(t('admin.newFolderName'), folder ? folder.path.split('/').pop() : '');
+        if (!name) return;
+        const { res, data } = await postJson('/api/folders/rename', { id, name });
+        if (!res.ok) return alert(t('admin.renameFailed', { error: data.error || res.status }));
+        location.reload();
+      }
+
+      async function deleteFolder(id) {
+        if (!confirm(t('admin.deleteFolderConfirm'))) return;
+        let { res, data } = await postJson('/api/folders/delete', { id });
+        if (res.status === 409) {
+          if (!confirm(t('admin.deleteFolderRecursiveConfirm', data))) return;
+          ({ res, data } = await postJson('/api/folders/delete', { id, recursive: true }));
+        }
+        if (!res.ok) return alert(t('admin.deleteFailed', { error: data.error || res.status }));
+        alert(data.message);
+        location.reload();
+      }
+
+      async function editFileMeta(url) {
+        const file = loadedFiles.find(f => f.url === url) || {};
+        const tags = prompt(t('admin.tagsPrompt'), (file.tags || []).join(', '));
+        if (tags === null) return;
+        const note = prompt(t('admin.notePrompt'), file.note || '');
+        if (note === null) return;
+        const { res, data } = await postJson('/api/meta', { url, tags, note });
+        if (!res.ok) return alert(t('admin.saveFailed', { error: data.error || res.status }));
+        location.reload();
+      }
+
+      async function renameFile(url) {
+        const file = loadedFiles.find(f => f.url === url) || {};
+        const name = prompt(t('admin.newFileName'), file.file_name || '');
+        if (!name) return;
+        const { res, data } = await postJson('/api/rename', { url, name });
+        if (!res.ok) return alert(t('admin.renameFailed', { error: data.error || res.status }));
+        location.reload();
+      }
+
+      function openMoveModal(items) {
+        pendingMove = items;
+        const movingFolders = items.folderIds || [];
+        const select = document.getElementById('moveTarget');
+        select.innerHTML = '';
+        [{ id: '', path: t('common.rootFolder') }, ...FOLDERS].forEach(folder => {
+          // A folder cannot be moved into itself or below itself
+          const blocked = movingFolders.some(id => {
+            const own = FOLDERS.find(f => f.id === id);
+            return own && (folder.id === id || folder.path.startsWith(own.path + '/'));
+          });
+          if (blocked) return;
+          const option = document.createElement('option');
+          option.value = folder.id;
+          option.textContent = folder.path;
+          select.appendChild(option);
+        });
+        select.value = CURRENT_FOLDER_ID === null ? '' : String(CURRENT_FOLDER_ID);
+        document.getElementById('moveModal').style.display = 'flex';
+      }
+      function closeMoveModal(){ document.getElementById('moveModal').style.display = 'none'; pendingMove = null; }
+
+      async function confirmMove() {
+        if (!pendingMove) return;
+        const value = document.getElementById('moveTarget').value;
+        const { res, data } = await postJson('/api/move', { ...pendingMove, targetId: value ? Number(value) : null });
+        if (!res.ok) return alert(t('admin.moveFailed', { error: data.error || res.status }));
+        location.reload();
+      }
+
+      async function setupWebhook() {
+        try {
+          const res = await fetch('/setwebhook', { method:'POST' });
+          const data = await res.json();
+          if (!res.ok) throw new Error(data.error || res.status);
+          alert(t('admin.webhookSet', { url: data.url }));
+        } catch (e) { alert(t('admin.webhookFailed', { error: e.message })); }
+      }
+
+      async function logoutEverywhere() {
+        if (!confirm(t('admin.logoutEverywhereConfirm'))) return;
         try {
-          const res = await fetch('/delete', { method:'POST', headers:{ 'Content-Type': 'application/json' }, body: JSON.stringify({ url }) });
-          if (!res.ok) { const err = await res.json(); throw new Error(err.error || '删除失败'); }
-          const gridCard = document.querySelector(\`.file-card[data-url="\${url}"]\`);
-          const listRow = document.querySelector(\`tr[data-url="\${url}"]\`);
-          if (gridCard) gridCard.remove();
-          if (listRow) listRow.remove();
-          alert('文件删除成功');
-        } catch (e) { alert('文件删除失败: ' + e.message); }
+          const res = await fetch('/logout', { method:'POST', headers:{ 'Content-Type': 'application/json' }, body: JSON.stringify({ all: true }) });
+          if (!res.ok) { const err = await res.json(); throw new Error(err.error || res.status); }
+          window.location.href = '/';
+        } catch (e) { alert(t('admin.logoutFailed', { error: e.message })); }
       }
 
       // Expose functions to global
       window.showQRCode = showQRCode;
+      window.createShareLink = createShareLink;
+      window.openSharesModal = openSharesModal;
+      window.closeSharesModal = closeSharesModal;
+      window.showQRCodeFor = showQRCodeFor;
+      window.revokeShareLink = revokeShareLink;
+      window.openStatsModal = openStatsModal;
+      window.openTokensModal = openTokensModal;
+      window.closeTokensModal = closeTokensModal;
+      window.createApiToken = createApiToken;
+      window.downloadUploaderConfig = downloadUploaderConfig;
+      window.revokeApiToken = revokeApiToken;
+      window.closeStatsModal = closeStatsModal;
+      window.loadStats = loadStats;
       window.handleCopyUrl = handleCopyUrl;
       window.closeQRModal = closeQRModal;
       window.deleteFile = deleteFile;
+      window.logoutEverywhere = logoutEverywhere;
+      window.setupWebhook = setupWebhook;
+      window.createFolder = createFolder;
+      window.renameFolder = renameFolder;
+      window.deleteFolder = deleteFolder;
+      window.renameFile = renameFile;
+      window.editFileMeta = editFileMeta;
+      window.openMoveModal = openMoveModal;
+      window.closeMoveModal = closeMoveModal;
+      window.confirmMove = confirmMove;
 
       // Default view
       setView('grid');
+      loadMore(true);
     </script>
   </body>
   </html>`;